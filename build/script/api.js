@@ -0,0 +1,523 @@
+/**
+ * 根据 electron/controller 生成前端通信频道和调用客户端
+ * 输出 frontend/src/api/main.js（ipcApiRoute、api、subscribe）及 main.d.ts，以及 httpServer 的 OpenAPI 文档 public/openapi.json
+ *
+ * npm run api        生成
+ * npm run api-check  检查：生成文件是否过期、前端是否引用了不存在的控制器方法，有问题时退出码为1
+ *
+ * 参数类型优先取自 electron/schema 中的 JSON Schema，其次为 JSDoc 的 @param {Type} args
+ * 返回类型取自 @returns {Type}（即返回结构中的 data），未声明时为 any
+ * 事件总线的主题及载荷类型取自 electron/schema/events.js
+ */
+const fs = require('fs');
+const path = require('path');
+const Schema = require('../../electron/utils/schema');
+
+const rootDir = path.join(__dirname, '..', '..');
+const electronDir = path.join(rootDir, 'electron');
+const controllerDir = path.join(electronDir, 'controller');
+const frontendDir = path.join(rootDir, 'frontend', 'src');
+const outputJs = path.join(frontendDir, 'api', 'main.js');
+const outputDts = path.join(frontendDir, 'api', 'main.d.ts');
+const outputOpenApi = path.join(rootDir, 'public', 'openapi.json');
+const eventsFile = path.join(electronDir, 'schema', 'events.js');
+
+// 旧的 ipcApiRoute 键名 -> 新键名，作为已废弃的别名保留，兼容已有的前端代码
+const deprecatedKeys = {
+  test: 'exampleTest',
+};
+
+const header = [
+  '/**',
+  ' * 主进程与渲染进程通信频道定义',
+  ' * Definition of communication channels between main process and rendering process',
+  ' *',
+  ' * 该文件由 build/script/api.js 根据 electron/controller 自动生成，请勿手动修改（npm run api）',
+  ' */',
+];
+
+/**
+ * 递归获取目录下指定后缀的文件
+ */
+function listFiles(dir, exts = ['.js']) {
+  let files = [];
+  fs.readdirSync(dir).forEach((name) => {
+    const filepath = path.join(dir, name);
+    const stat = fs.lstatSync(filepath);
+    if (stat.isDirectory()) {
+      files = files.concat(listFiles(filepath, exts));
+    } else if (stat.isFile() && exts.includes(path.extname(name))) {
+      files.push(filepath);
+    }
+  });
+  return files.sort();
+}
+
+/**
+ * 首字母大写
+ */
+function upperFirst(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+/**
+ * 首字母小写（与 ee-core 的 caseStyle: 'lower' 一致）
+ */
+function lowerFirst(str) {
+  return str.charAt(0).toLowerCase() + str.slice(1);
+}
+
+/**
+ * 解析 JSDoc：描述、@param {Type} args、@returns {Type}
+ */
+function parseDoc(doc) {
+  const lines = doc.split('\n')
+    .map((line) => line.replace(/^\s*\/?\*+\/?\s?/, '').trimEnd())
+    .filter((line) => line !== '/');
+  const description = [];
+  let argsType = '';
+  let returnType = '';
+
+  lines.forEach((line) => {
+    const param = line.match(/^@param\s+\{(.+)\}\s+\[?args\b/);
+    const returns = line.match(/^@returns?\s+\{(.+)\}/);
+    if (param) {
+      argsType = param[1];
+    } else if (returns) {
+      returnType = returns[1];
+    } else if (line && !line.startsWith('@')) {
+      description.push(line.trim());
+    }
+  });
+
+  return { description, argsType, returnType };
+}
+
+/**
+ * 解析控制器文件中类的方法（不含构造函数、父类方法）
+ */
+function parseController(filepath) {
+  const source = fs.readFileSync(filepath, 'utf8');
+  const relative = path.relative(controllerDir, filepath).replace(/\.js$/, '');
+  const segments = relative.split(path.sep).map(lowerFirst);
+  const methods = [];
+
+  const re = /(\/\*\*(?:(?!\*\/)[\s\S])*\*\/\s*)?^  (?:async\s+)?([A-Za-z_$][\w$]*)\s*\(([^)]*)\)\s*\{/gm;
+  let match;
+  while ((match = re.exec(source)) !== null) {
+    const name = match[2];
+    if (name === 'constructor' || ['if', 'for', 'while', 'switch', 'catch'].includes(name)) {
+      continue;
+    }
+    const doc = parseDoc(match[1] || '');
+    methods.push(Object.assign({ name, hasArgs: match[3].trim() !== '' }, doc));
+  }
+
+  return { segments, file: path.relative(rootDir, filepath), methods };
+}
+
+/**
+ * 收集所有通道
+ */
+function collect() {
+  const schemas = Schema.load(electronDir);
+  const routes = [];
+  listFiles(controllerDir).forEach((filepath) => {
+    const controller = parseController(filepath);
+    controller.methods.forEach((method) => {
+      const channel = ['controller'].concat(controller.segments, method.name).join('.');
+      method.schema = schemas[channel] || null;
+      routes.push({
+        key: controller.segments.concat(method.name).map((s, i) => i === 0 ? s : upperFirst(s)).join(''),
+        channel,
+        path: controller.segments.concat(method.name),
+        method,
+      });
+    });
+  });
+  return routes;
+}
+
+/**
+ * 事件总线主题声明
+ */
+function loadTopics() {
+  return fs.existsSync(eventsFile) ? require(eventsFile) : {};
+}
+
+/**
+ * JSON Schema 转为 TypeScript 类型
+ */
+function schemaToTs(schema, indent = '') {
+  if (!schema || typeof schema !== 'object') {
+    return 'any';
+  }
+  if (Array.isArray(schema.enum)) {
+    return schema.enum.map((item) => JSON.stringify(item)).join(' | ');
+  }
+  if (schema.hasOwnProperty('const')) {
+    return JSON.stringify(schema.const);
+  }
+  const types = [].concat(schema.type || []);
+  if (types.length > 1) {
+    return types.map((type) => schemaToTs(Object.assign({}, schema, { type }), indent)).join(' | ');
+  }
+
+  switch (types[0]) {
+    case 'string':
+      return 'string';
+    case 'number':
+    case 'integer':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'null':
+      return 'null';
+    case 'array':
+      return `Array<${schemaToTs(schema.items, indent)}>`;
+    case 'object': {
+      const properties = schema.properties || {};
+      const required = schema.required || [];
+      const fields = Object.keys(properties).map((key) => {
+        const optional = required.includes(key) ? '' : '?';
+        return `${indent}  ${key}${optional}: ${schemaToTs(properties[key], indent + '  ')};`;
+      });
+      if (schema.additionalProperties !== false) {
+        fields.push(`${indent}  [key: string]: any;`);
+      }
+      return fields.length > 0 ? `{\n${fields.join('\n')}\n${indent}}` : '{}';
+    }
+    default:
+      return 'any';
+  }
+}
+
+/**
+ * 生成 OpenAPI 文档（httpServer：GET 参数为 query，POST 参数为 json body）
+ */
+function renderOpenApi(routes) {
+  const pkg = require(path.join(rootDir, 'package.json'));
+  const config = require(path.join(electronDir, 'config', 'config.default.js'))({ home: rootDir, baseDir: electronDir });
+  const httpServer = config.httpServer;
+  const protocol = httpServer.https && httpServer.https.enable ? 'https' : 'http';
+
+  const paths = {};
+  routes.forEach((route) => {
+    const { method } = route;
+    const schema = method.schema || { type: 'object' };
+    const operation = {
+      operationId: route.key,
+      summary: method.description[0] || route.channel,
+      tags: [route.path[0]],
+      responses: {
+        200: {
+          description: '{ code, data, message, traceId }，code 为 0 表示成功',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Envelope' } } },
+        },
+      },
+    };
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    const parameters = Object.keys(properties).map((key) => ({
+      name: key,
+      in: 'query',
+      required: required.includes(key),
+      description: properties[key].description,
+      schema: Object.assign({}, properties[key], { description: undefined }),
+    }));
+
+    paths['/' + route.channel.split('.').join('/')] = {
+      get: Object.assign({}, operation, { operationId: route.key + 'Get', parameters }),
+      post: Object.assign({}, operation, {
+        requestBody: {
+          required: required.length > 0,
+          content: { 'application/json': { schema } },
+        },
+      }),
+    };
+  });
+
+  const doc = {
+    openapi: '3.1.0',
+    info: {
+      title: pkg.name,
+      description: '由 build/script/api.js 根据 electron/controller、electron/schema 自动生成（npm run api）',
+      version: pkg.version,
+    },
+    servers: [{ url: `${protocol}://${httpServer.host}:${httpServer.port}` }],
+    paths,
+    components: {
+      schemas: {
+        Envelope: {
+          type: 'object',
+          properties: {
+            code: { type: 'integer', description: '0 成功；400 参数错误；403 来源不允许；429 调用过于频繁；499 已取消；500 未知错误' },
+            data: { description: '控制器返回值，参数校验失败时为 { errors: [{ path, message }] }' },
+            message: { type: 'string' },
+            traceId: { type: 'string', description: '可在 ee.log 中查找对应日志' },
+          },
+        },
+      },
+    },
+  };
+
+  return JSON.stringify(doc, null, 2) + '\n';
+}
+
+/**
+ * 把通道列表转为嵌套对象 { example: { test: route } }
+ */
+function toTree(routes) {
+  const tree = {};
+  routes.forEach((route) => {
+    let node = tree;
+    route.path.slice(0, -1).forEach((key) => {
+      node[key] = node[key] || {};
+      node = node[key];
+    });
+    node[route.path[route.path.length - 1]] = route;
+  });
+  return tree;
+}
+
+/**
+ * 方法注释
+ */
+function renderDoc(method, indent) {
+  if (method.description.length === 0) {
+    return [];
+  }
+  return [`${indent}/**`]
+    .concat(method.description.map((line) => `${indent} * ${line}`))
+    .concat([`${indent} */`]);
+}
+
+/**
+ * 已废弃的别名（新键名存在时）
+ */
+function getAliases(routes) {
+  return Object.keys(deprecatedKeys)
+    .map((alias) => ({ alias, route: routes.find((route) => route.key === deprecatedKeys[alias]) }))
+    .filter((item) => item.route && !routes.some((route) => route.key === item.alias));
+}
+
+/**
+ * 生成 main.js
+ */
+function renderJs(routes, topics) {
+  const lines = header.concat([
+    `import { invoke, subscribe } from '@/utils/ipcRenderer';`,
+    '',
+    'const ipcApiRoute = {',
+  ]);
+  routes.forEach((route) => {
+    lines.push(`  ${route.key}: '${route.channel}',`);
+  });
+  getAliases(routes).forEach(({ alias, route }) => {
+    lines.push(`  /** @deprecated 请使用 ${route.key} */`);
+    lines.push(`  ${alias}: '${route.channel}',`);
+  });
+  lines.push('}');
+  lines.push('');
+  lines.push('/**');
+  lines.push(' * 调用主进程，成功时返回 data，失败或超时抛出 IpcError');
+  lines.push(' */');
+  lines.push('function call (channel) {');
+  lines.push('  return (args, options) => invoke(channel, args, options);');
+  lines.push('}');
+  lines.push('');
+  lines.push('/**');
+  lines.push(' * 调用客户端，如：api.example.test(args)');
+  lines.push(' */');
+
+  const renderNode = (node, indent) => {
+    Object.keys(node).forEach((key) => {
+      const value = node[key];
+      if (value.channel) {
+        renderDoc(value.method, indent).forEach((line) => lines.push(line));
+        lines.push(`${indent}${key}: call(ipcApiRoute.${value.key}),`);
+      } else {
+        lines.push(`${indent}${key}: {`);
+        renderNode(value, indent + '  ');
+        lines.push(`${indent}},`);
+      }
+    });
+  };
+  lines.push('const api = {');
+  renderNode(toTree(routes), '  ');
+  lines.push('}');
+  lines.push('');
+  lines.push('/**');
+  lines.push(' * 事件总线主题（见 electron/schema/events.js），使用 subscribe(topic, listener) 订阅');
+  lines.push(' */');
+  lines.push('const topics = [');
+  Object.keys(topics).forEach((topic) => {
+    lines.push(`  '${topic}',`);
+  });
+  lines.push(']');
+  lines.push('');
+  lines.push('export {');
+  lines.push('  ipcApiRoute, api, topics, subscribe');
+  lines.push('}');
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * 生成 main.d.ts
+ */
+function renderDts(routes, topics) {
+  const lines = header.concat([
+    '',
+    'export interface InvokeOptions {',
+    '  /** 超时时间（毫秒），默认 30000（流式调用默认不超时），0 表示不超时 */',
+    '  timeout?: number;',
+    '  /** 流式调用：控制器返回异步迭代器时的每一块数据 */',
+    '  onData?: (chunk: any) => void;',
+    '  /** 流式调用：控制器上报的进度 */',
+    '  onProgress?: (progress: any) => void;',
+    '  /** 流式调用：取消信号，会传递到主进程 */',
+    '  signal?: AbortSignal;',
+    '}',
+    '',
+    'export declare const ipcApiRoute: {',
+  ]);
+  routes.forEach((route) => {
+    lines.push(`  readonly ${route.key}: '${route.channel}';`);
+  });
+  getAliases(routes).forEach(({ alias, route }) => {
+    lines.push(`  /** @deprecated 请使用 ${route.key} */`);
+    lines.push(`  readonly ${alias}: '${route.channel}';`);
+  });
+  lines.push('};');
+  lines.push('');
+
+  const renderNode = (node, indent) => {
+    Object.keys(node).forEach((key) => {
+      const value = node[key];
+      if (value.channel) {
+        const { method } = value;
+        const argsType = method.schema ? schemaToTs(method.schema, indent) : (method.argsType || 'any');
+        const returnType = method.returnType || 'any';
+        const resultType = /^Promise</.test(returnType) ? returnType : `Promise<${returnType}>`;
+        const optional = (!argsType || argsType === 'any' || !method.hasArgs) ? '?' : '';
+        renderDoc(method, indent).forEach((line) => lines.push(line));
+        lines.push(`${indent}${key}(args${optional}: ${argsType}, options?: InvokeOptions): ${resultType};`);
+      } else {
+        lines.push(`${indent}${key}: {`);
+        renderNode(value, indent + '  ');
+        lines.push(`${indent}};`);
+      }
+    });
+  };
+  lines.push('export declare const api: {');
+  renderNode(toTree(routes), '  ');
+  lines.push('};');
+  lines.push('');
+
+  lines.push('/** 事件总线主题 -> 载荷类型 */');
+  lines.push('export interface EventMap {');
+  Object.keys(topics).forEach((topic) => {
+    lines.push(`  '${topic}': ${schemaToTs(topics[topic], '  ')};`);
+  });
+  lines.push('}');
+  lines.push('');
+  lines.push('export declare const topics: Array<keyof EventMap>;');
+  lines.push('');
+  lines.push('/** 订阅事件总线，返回取消订阅的函数；支持通配符，如 \'updater.*\'、\'*\' */');
+  lines.push('export declare function subscribe<T extends keyof EventMap>(topic: T, listener: (payload: EventMap[T], topic: T) => void): () => void;');
+  lines.push('export declare function subscribe(pattern: string, listener: (payload: any, topic: keyof EventMap) => void): () => void;');
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * 检查前端引用：'controller.x.y' 字符串、ipcApiRoute.key、api.x.y
+ */
+function checkReferences(routes) {
+  const channels = new Set(routes.map((route) => route.channel));
+  const keys = new Set(routes.map((route) => route.key).concat(getAliases(routes).map((item) => item.alias)));
+  const tree = toTree(routes);
+  const errors = [];
+
+  const files = listFiles(frontendDir, ['.js', '.vue'])
+    .filter((filepath) => filepath !== outputJs);
+
+  files.forEach((filepath) => {
+    const source = fs.readFileSync(filepath, 'utf8');
+    const file = path.relative(rootDir, filepath);
+    const lineOf = (index) => source.slice(0, index).split('\n').length;
+    let match;
+
+    const channelRe = /['"`](controller(?:\.[\w$]+)+)['"`]/g;
+    while ((match = channelRe.exec(source)) !== null) {
+      if (!channels.has(match[1])) {
+        errors.push(`${file}:${lineOf(match.index)} channel '${match[1]}' does not exist`);
+      }
+    }
+
+    const routeRe = /\bipcApiRoute\.([\w$]+)/g;
+    while ((match = routeRe.exec(source)) !== null) {
+      if (!keys.has(match[1])) {
+        errors.push(`${file}:${lineOf(match.index)} ipcApiRoute.${match[1]} does not exist`);
+      }
+    }
+
+    // 仅检查从 api/main 导入了 api 的文件
+    if (/import\s*\{[^}]*\bapi\b[^}]*\}\s*from\s*['"][^'"]*api\/main['"]/.test(source)) {
+      const apiRe = /\bapi((?:\.[\w$]+)+)/g;
+      while ((match = apiRe.exec(source)) !== null) {
+        let node = tree;
+        const names = match[1].slice(1).split('.');
+        for (const name of names) {
+          node = node[name];
+          if (!node || node.channel) break;
+        }
+        if (!node) {
+          errors.push(`${file}:${lineOf(match.index)} api${match[1]} does not exist`);
+        }
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * 读取文件，不存在时为空
+ */
+function readFile(filepath) {
+  try {
+    return fs.readFileSync(filepath, 'utf8');
+  } catch (e) {
+    return '';
+  }
+}
+
+const routes = collect();
+const topics = loadTopics();
+const js = renderJs(routes, topics);
+const dts = renderDts(routes, topics);
+const openApi = renderOpenApi(routes);
+
+if (process.argv.includes('--check')) {
+  const errors = [];
+  if (readFile(outputJs) !== js || readFile(outputDts) !== dts) {
+    errors.push(`${path.relative(rootDir, outputJs)} is out of date, please run: npm run api`);
+  }
+  if (readFile(outputOpenApi) !== openApi) {
+    errors.push(`${path.relative(rootDir, outputOpenApi)} is out of date, please run: npm run api`);
+  }
+  errors.push(...checkReferences(routes));
+
+  if (errors.length > 0) {
+    errors.forEach((error) => console.error('[api] ' + error));
+    process.exit(1);
+  }
+  console.log('[api] %d channels ok', routes.length);
+} else {
+  fs.writeFileSync(outputJs, js);
+  fs.writeFileSync(outputDts, dts);
+  fs.writeFileSync(outputOpenApi, openApi);
+  console.log('[api] %d channels, output: %s', routes.length, path.relative(rootDir, outputJs));
+}
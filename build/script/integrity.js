@@ -0,0 +1,65 @@
+/**
+ * 生成完整性清单 public/integrity.json
+ * 记录 public/dist、electron（或加密后的 public/electron）、extraResources 下所有文件的 SHA-256
+ * 应在前端构建、资源移动、加密之后，打包之前执行：npm run integrity（npm run build-* 会先执行）
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const rootDir = path.join(__dirname, '..', '..');
+const output = path.join(rootDir, 'public', 'integrity.json');
+
+// 清单key前缀 -> 本地目录
+const targets = [
+  { prefix: 'app/public/dist', dir: path.join(rootDir, 'public', 'dist') },
+  { prefix: 'app/electron', dir: path.join(rootDir, 'electron') },
+  { prefix: 'app/public/electron', dir: path.join(rootDir, 'public', 'electron') },
+  { prefix: 'extraResources', dir: path.join(rootDir, 'build', 'extraResources') },
+];
+
+/**
+ * 递归获取目录下所有文件
+ */
+function listFiles(dir) {
+  let files = [];
+  fs.readdirSync(dir).forEach((name) => {
+    const filepath = path.join(dir, name);
+    const stat = fs.lstatSync(filepath);
+    if (stat.isDirectory()) {
+      files = files.concat(listFiles(filepath));
+    } else if (stat.isFile()) {
+      files.push(filepath);
+    }
+  });
+  return files;
+}
+
+/**
+ * 计算文件hash
+ */
+function hashFile(filepath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filepath)).digest('hex');
+}
+
+const pkg = require(path.join(rootDir, 'package.json'));
+const manifest = {
+  version: pkg.version,
+  algorithm: 'sha256',
+  createdAt: new Date().toISOString(),
+  files: {},
+};
+
+targets.forEach(({ prefix, dir }) => {
+  if (!fs.existsSync(dir)) {
+    return;
+  }
+  listFiles(dir).forEach((filepath) => {
+    const key = prefix + '/' + path.relative(dir, filepath).split(path.sep).join('/');
+    manifest.files[key] = hashFile(filepath);
+  });
+  console.log('[integrity] %s: %s', prefix, dir);
+});
+
+fs.writeFileSync(output, JSON.stringify(manifest, null, 2));
+console.log('[integrity] %d files, output: %s', Object.keys(manifest.files).length, output);
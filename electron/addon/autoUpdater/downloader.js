@@ -0,0 +1,188 @@
+const { net } = require('electron');
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * 可断点续传的下载器
+ * 数据先写入 partialFile，校验 sha512（latest.yml 中的 base64 值）通过后重命名为 file
+ */
+class ResumableDownloader {
+
+  /**
+   * @param options.url 下载地址
+   * @param options.file 目标文件
+   * @param options.partialFile 临时文件（中断后保留，用于续传）
+   * @param options.sha512 期望的 sha512（base64）
+   * @param options.size 文件大小（可选）
+   * @param options.headers 请求头
+   * @param options.onProgress 进度回调 { percent, transferred, total, bytesPerSecond }
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * 下载
+   * @param cancellationToken electron-updater CancellationToken
+   */
+  async download (cancellationToken) {
+    const { file, partialFile, sha512 } = this.options;
+    let start = this.getFileSize(partialFile);
+
+    // 已完整下载但未校验（如校验前被中断）
+    if (this.options.size && start >= this.options.size) {
+      if (await this.verify(partialFile, sha512)) {
+        fs.renameSync(partialFile, file);
+        return file;
+      }
+      fs.unlinkSync(partialFile);
+      start = 0;
+    }
+
+    await this.request(start, cancellationToken);
+
+    if (!(await this.verify(partialFile, sha512))) {
+      // 校验失败，丢弃临时文件，下次重新下载
+      fs.unlinkSync(partialFile);
+      const err = new Error(`sha512 checksum mismatch: ${this.options.url}`);
+      err.code = 'ERR_UPDATER_CHECKSUM_MISMATCH';
+      throw err;
+    }
+    fs.renameSync(partialFile, file);
+
+    return file;
+  }
+
+  /**
+   * 发起请求，从 start 处续传
+   */
+  request (start, cancellationToken) {
+    const { url, partialFile, headers = {} } = this.options;
+
+    return new Promise((resolve, reject) => {
+      const requestHeaders = Object.assign({}, headers);
+      if (start > 0) {
+        requestHeaders.Range = `bytes=${start}-`;
+      }
+      const request = net.request({ url, headers: requestHeaders });
+
+      let stream = null;
+      let streamClosed = Promise.resolve();
+      let settled = false;
+      const finish = (err) => {
+        if (settled) return;
+        settled = true;
+        cancellationToken.removeListener('cancel', onCancel);
+        err ? reject(err) : resolve();
+      };
+      // 结束时先关闭文件（写入缓冲数据、释放文件句柄），续传依赖临时文件完整
+      let closing = false;
+      const stop = (err) => {
+        if (closing) return;
+        closing = true;
+        if (stream && !stream.destroyed) {
+          stream.end();
+        }
+        streamClosed.then(() => finish(err));
+      };
+      const onCancel = () => {
+        request.abort();
+        const err = new Error('cancelled');
+        err.code = 'ERR_UPDATER_CANCELLED';
+        stop(err);
+      };
+      cancellationToken.onCancel(onCancel);
+
+      request.on('response', (response) => {
+        const statusCode = response.statusCode;
+        // 服务端不支持 Range 时从头下载
+        let offset = start;
+        if (statusCode === 416) {
+          // 临时文件已包含全部数据，交给校验处理
+          stop();
+          return;
+        }
+        if (statusCode === 200) {
+          offset = 0;
+        } else if (statusCode !== 206) {
+          const err = new Error(`download failed, status code: ${statusCode}, url: ${url}`);
+          err.code = 'ERR_UPDATER_DOWNLOAD_FAILED';
+          stop(err);
+          return;
+        }
+        if (closing) {
+          return;
+        }
+
+        const contentLength = parseInt(response.headers['content-length'], 10) || 0;
+        const total = this.options.size || (offset + contentLength);
+        stream = fs.createWriteStream(partialFile, { flags: offset > 0 ? 'a' : 'w' });
+        streamClosed = new Promise((resolveClose) => stream.once('close', resolveClose));
+        stream.on('error', (err) => {
+          request.abort();
+          stop(err);
+        });
+        const beginTime = Date.now();
+        let received = 0;
+        let lastEmit = 0;
+
+        response.on('data', (chunk) => {
+          if (closing) return;
+          if (!stream.write(chunk)) {
+            response.pause();
+            stream.once('drain', () => response.resume());
+          }
+          received += chunk.length;
+          const now = Date.now();
+          if (this.options.onProgress && (now - lastEmit > 500)) {
+            lastEmit = now;
+            const seconds = Math.max((now - beginTime) / 1000, 0.001);
+            const transferred = offset + received;
+            this.options.onProgress({
+              percent: total > 0 ? transferred / total * 100 : 0,
+              transferred,
+              total,
+              bytesPerSecond: Math.round(received / seconds),
+            });
+          }
+        });
+        response.on('end', () => {
+          stop();
+        });
+        response.on('error', (err) => {
+          stop(err);
+        });
+      });
+      request.on('error', (err) => {
+        stop(err);
+      });
+      request.end();
+    });
+  }
+
+  /**
+   * 校验 sha512
+   */
+  verify (filepath, sha512) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha512');
+      fs.createReadStream(filepath, { highWaterMark: 1024 * 1024 })
+        .on('error', reject)
+        .on('data', (chunk) => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('base64') === sha512));
+    });
+  }
+
+  /**
+   * 文件大小，不存在时为0
+   */
+  getFileSize (filepath) {
+    try {
+      return fs.statSync(filepath).size;
+    } catch (e) {
+      return 0;
+    }
+  }
+}
+
+module.exports = ResumableDownloader;
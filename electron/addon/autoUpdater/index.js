@@ -1,9 +1,14 @@
-const { app: electronApp } = require('electron');
-const { autoUpdater } = require("electron-updater");
+const { app: electronApp, powerMonitor, BrowserWindow } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const { autoUpdater, CancellationToken } = require("electron-updater");
 const is = require('ee-core/utils/is');
 const Log = require('ee-core/log');
 const Conf = require('ee-core/config');
-const CoreWindow = require('ee-core/electron/window');
+const Storage = require('ee-core/storage');
+const Locales = require('./locales');
+const ResumableDownloader = require('./downloader');
+const EventBus = require('../../utils/eventBus');
 
 /**
  * 自动升级插件
@@ -12,6 +17,38 @@ const CoreWindow = require('ee-core/electron/window');
 class AutoUpdaterAddon {
 
   constructor() {
+    this.cfg = {};
+    this.enabled = false;
+    this.cancellationToken = null;
+    // 服务器返回的更新信息（latest.yml）
+    this.updateInfo = null;
+    // 下载方式：differential 差分 | resumable 断点续传 | full 完整下载
+    this.downloadMode = '';
+    this.db = null;
+    this.channel = '';
+    this.scheduleTimer = null;
+    this.retryCount = 0;
+    // 用户自定义的"忙碌"标记，存在时跳过定时检查
+    this.busy = new Set();
+    // 更新通道 -> 服务器上的通道文件名（latest.yml、beta.yml、alpha.yml）
+    this.channels = {
+      stable: 'latest',
+      beta: 'beta',
+      alpha: 'alpha',
+    }
+    this.status = {
+      error: -1,
+      available: 1,
+      noAvailable: 2,
+      downloading: 3,
+      downloaded: 4,
+    }
+    // 最后一次状态，窗口刷新后前端可通过 getStatus 获取
+    this.lastStatus = {};
+    this.channelName = 'app.updater';
+    this.locale = 'en-US';
+    // 没有窗口时缓存的事件
+    this.pendingEvents = [];
   }
 
   /**
@@ -28,19 +65,9 @@ class AutoUpdaterAddon {
     } else {
       return
     }
-
-    // 是否检查更新
-    if (cfg.force) {
-      this.checkUpdate();
-    }
-
-    const status = {
-      error: -1,
-      available: 1,
-      noAvailable: 2,
-      downloading: 3,
-      downloaded: 4,
-    }
+    this.cfg = cfg;
+    this.enabled = true;
+    const status = this.status;
 
     const version = electronApp.getVersion();
     Log.info('[addon:autoUpdater] current version: ', version);
@@ -52,62 +79,98 @@ class AutoUpdaterAddon {
     //Log.info('[addon:autoUpdater] server: ', server);
     cfg.options.url = server;
   
-    // 是否后台自动下载
+    // 是否后台自动下载（强制更新时）；否则由前端决定下载和安装时机
     autoUpdater.autoDownload = cfg.force ? true : false;
+    autoUpdater.autoInstallOnAppQuit = false;
   
     try {
       autoUpdater.setFeedURL(cfg.options);
     } catch (error) {
       Log.error('[addon:autoUpdater] setFeedURL error : ', error);
     }
+
+    // 更新通道：运行时切换过的通道优先于配置
+    this.db = Storage.connection('updater');
+    const channel = this.db.getItem('channel') || cfg.channel || 'stable';
+    if (!this.applyChannel(channel)) {
+      this.applyChannel('stable');
+    }
   
-    autoUpdater.on('checking-for-update', () => {
-      //sendStatusToWindow('正在检查更新...');
-    })
+    this.locale = this.resolveLocale(cfg.locale || electronApp.getLocale());
+
+    // 窗口创建后，补发缓存的事件
+    electronApp.on('browser-window-created', (event, win) => {
+      win.webContents.once('did-finish-load', () => {
+        this.flushEvents();
+      });
+    });
+
+    // electron-updater 日志写入ee日志，并据此判断差分下载是否回退为完整下载
+    autoUpdater.logger = {
+      info: (msg) => Log.info('[addon:autoUpdater] [electron-updater]', msg),
+      warn: (msg) => Log.warn('[addon:autoUpdater] [electron-updater]', msg),
+      debug: (msg) => Log.debug('[addon:autoUpdater] [electron-updater]', msg),
+      error: (msg) => {
+        if (this.downloadMode === 'differential' && String(msg).includes('fallback to full download')) {
+          this.downloadMode = 'full';
+        }
+        Log.error('[addon:autoUpdater] [electron-updater]', msg);
+      },
+    };
+
     autoUpdater.on('update-available', (info) => {
-      info.status = status.available;
-      info.desc = '有可用更新';
-      this.sendStatusToWindow(info);
+      this.updateInfo = info;
+      this.sendStatusToWindow(this.makeEvent(status.available, 'available', info));
     })
     autoUpdater.on('update-not-available', (info) => {
-      info.status = status.noAvailable;
-      info.desc = '没有可用更新';
-      this.sendStatusToWindow(info);
+      this.sendStatusToWindow(this.makeEvent(status.noAvailable, 'noAvailable', info));
     })
     autoUpdater.on('error', (err) => {
-      let info = {
-        status: status.error,
-        desc: err
-      }
-      this.sendStatusToWindow(info);
+      this.cancellationToken = null;
+      const event = this.makeEvent(status.error, 'error', {}, {
+        code: err.code || 'ERR_UPDATER_UNKNOWN',
+        error: err.message || String(err),
+      });
+      this.sendStatusToWindow(event);
+    })
+    autoUpdater.on('update-cancelled', (info) => {
+      // 取消下载后，回到"有可用更新"状态
+      this.cancellationToken = null;
+      this.sendStatusToWindow(this.makeEvent(status.available, 'cancelled', info, { mode: this.downloadMode }));
     })
     autoUpdater.on('download-progress', (progressObj) => {
-      let percentNumber = parseInt(progressObj.percent);
-      let totalSize = this.bytesChange(progressObj.total);
-      let transferredSize = this.bytesChange(progressObj.transferred);
-      let text = '已下载 ' + percentNumber + '%';
-      text = text + ' (' + transferredSize + "/" + totalSize + ')';
-  
-      let info = {
-        status: status.downloading,
-        desc: text,
-        percentNumber: percentNumber,
-        totalSize: totalSize,
-        transferredSize: transferredSize
-      }
-      Log.info('[addon:autoUpdater] progress: ', text);
-      this.sendStatusToWindow(info);
+      const { percent, transferred, total, bytesPerSecond } = progressObj;
+      const eta = bytesPerSecond > 0 ? Math.ceil((total - transferred) / bytesPerSecond) : -1;
+      const event = this.makeEvent(status.downloading, 'downloading', this.lastStatus, {
+        percent: Math.floor(percent),
+        transferred,
+        total,
+        bytesPerSecond,
+        eta,
+        mode: this.downloadMode,
+      });
+      Log.info('[addon:autoUpdater] progress: ', event.message);
+      this.sendStatusToWindow(event);
     })
     autoUpdater.on('update-downloaded', (info) => {
-      info.status = status.downloaded;
-      info.desc = '下载完成';
-      this.sendStatusToWindow(info);
-      autoUpdater.quitAndInstall();
-      // const mainWindow = CoreWindow.getMainWindow();
-      // if (mainWindow) {
-      //   mainWindow.destroy()
-      // }
-      // electronApp.appQuit()
+      this.cancellationToken = null;
+      this.sendStatusToWindow(this.makeEvent(status.downloaded, 'downloaded', info, { mode: this.downloadMode }));
+
+      // 强制更新时直接安装，否则等待前端调用 install
+      if (cfg.force) {
+        this.install();
+      }
+    });
+
+    // 是否检查更新
+    if (cfg.force) {
+      this.checkUpdate();
+    }
+
+    // 定时检查
+    this.startSchedule();
+    electronApp.on('before-quit', () => {
+      this.stopSchedule();
     });
   }
 
@@ -115,50 +178,475 @@ class AutoUpdaterAddon {
    * 检查更新
    */
   checkUpdate () {
-    autoUpdater.checkForUpdates();
+    if (!this.isCheckable()) {
+      return false;
+    }
+    this._check().catch((err) => {
+      Log.error('[addon:autoUpdater] checkForUpdates error : ', err);
+    });
+    return true;
+  }
+
+  /**
+   * 下载中或已下载时不再检查
+   */
+  isCheckable () {
+    const current = this.lastStatus.status;
+    return this.enabled && current !== this.status.downloading && current !== this.status.downloaded;
+  }
+
+  /**
+   * 执行检查，并记录检查时间
+   */
+  async _check () {
+    await autoUpdater.checkForUpdates();
+    this.db.setItem('lastCheckTime', Date.now());
+  }
+
+  /**
+   * 启动定时检查
+   */
+  startSchedule () {
+    const schedule = this.cfg.schedule || {};
+    if (!schedule.enable) {
+      return;
+    }
+
+    // 根据上次检查时间计算首次延迟，避免每次启动都检查
+    const lastCheckTime = this.db.getItem('lastCheckTime') || 0;
+    const delay = Math.max(lastCheckTime + schedule.interval - Date.now(), schedule.firstDelay || 0);
+    this.scheduleNext(delay + this.getJitter());
+  }
+
+  /**
+   * 停止定时检查
+   */
+  stopSchedule () {
+    clearTimeout(this.scheduleTimer);
+    this.scheduleTimer = null;
+  }
+
+  /**
+   * 安排下一次检查
+   */
+  scheduleNext (delay) {
+    this.stopSchedule();
+    Log.info('[addon:autoUpdater] next check in %d s', Math.round(delay / 1000));
+    this.scheduleTimer = setTimeout(() => {
+      this.scheduledCheck();
+    }, delay);
+  }
+
+  /**
+   * 定时检查：忙碌或非空闲时推迟，失败时按退避重试
+   */
+  async scheduledCheck () {
+    const schedule = this.cfg.schedule;
+    const retry = schedule.retry || {};
+    const retryDelay = retry.delay || 60 * 1000;
+
+    if (this.isBusy()) {
+      Log.info('[addon:autoUpdater] busy, skip check: ', [...this.busy]);
+      this.scheduleNext(retryDelay);
+      return;
+    }
+    if (!this.isCheckable()) {
+      this.scheduleNext(schedule.interval + this.getJitter());
+      return;
+    }
+
+    try {
+      await this._check();
+      this.retryCount = 0;
+      this.scheduleNext(schedule.interval + this.getJitter());
+    } catch (err) {
+      Log.error('[addon:autoUpdater] scheduled check error : ', err);
+      this.retryCount++;
+      if (this.retryCount > (retry.max || 0)) {
+        this.retryCount = 0;
+        this.scheduleNext(schedule.interval + this.getJitter());
+        return;
+      }
+      // 指数退避
+      const backoff = Math.min(retryDelay * Math.pow(2, this.retryCount - 1), retry.maxDelay || schedule.interval);
+      this.scheduleNext(backoff);
+    }
+  }
+
+  /**
+   * 随机抖动，避免大量客户端同时请求
+   */
+  getJitter () {
+    const jitter = this.cfg.schedule.jitter || 0;
+    return Math.floor(Math.random() * jitter);
+  }
+
+  /**
+   * 设置/取消忙碌标记，如：setBusy('export', true)
+   */
+  setBusy (name, isBusy = true) {
+    if (isBusy) {
+      this.busy.add(name);
+    } else {
+      this.busy.delete(name);
+    }
+    return [...this.busy];
+  }
+
+  /**
+   * 是否忙碌（有忙碌标记，或用户未空闲）
+   */
+  isBusy () {
+    if (this.busy.size > 0) {
+      return true;
+    }
+    const idleThreshold = this.cfg.schedule.idleThreshold || 0;
+    if (idleThreshold > 0 && powerMonitor.getSystemIdleState(idleThreshold) === 'active') {
+      return true;
+    }
+    return false;
   }
   
   /**
-   * 下载更新
+   * 下载更新（仅"有可用更新"状态下）
    */
   download () {
-    autoUpdater.downloadUpdate();
+    if (!this.enabled || this.lastStatus.status !== this.status.available) {
+      return false;
+    }
+    this.cancellationToken = new CancellationToken();
+    this._download(this.cancellationToken).catch((err) => {
+      Log.error('[addon:autoUpdater] downloadUpdate error : ', err);
+    });
+    return true;
   }
 
   /**
-   * 向前端发消息
+   * 执行下载
+   * 差分：交给 electron-updater（根据 blockmap 下载差异块，失败时自动回退完整下载）
+   * 断点续传：先将安装包续传到 electron-updater 的缓存目录，再由 downloadUpdate 校验并使用缓存
    */
-  sendStatusToWindow(content = {}) {
-    const textJson = JSON.stringify(content);
-    const channel = 'app.updater';
-    const win = CoreWindow.getMainWindow();
-    win.webContents.send(channel, textJson);
+  async _download (cancellationToken) {
+    const file = this.findUpdateFile();
+    const downloadCfg = this.cfg.download || {};
+    if (downloadCfg.differential !== false && is.windows() && file && file.blockMapSize) {
+      this.downloadMode = 'differential';
+    } else if (downloadCfg.resumable !== false && file && (!is.windows() || typeof autoUpdater.verifySignature === 'function')) {
+      // windows 上需要校验安装包签名，无法校验时不使用断点续传
+      this.downloadMode = 'resumable';
+    } else {
+      this.downloadMode = 'full';
+    }
+    Log.info('[addon:autoUpdater] download mode: ', this.downloadMode);
+
+    if (this.downloadMode === 'resumable') {
+      try {
+        await this.resumableDownload(file, cancellationToken);
+      } catch (err) {
+        if (cancellationToken.cancelled) {
+          this.cancellationToken = null;
+          this.sendStatusToWindow(this.makeEvent(this.status.available, 'cancelled', this.updateInfo, { mode: this.downloadMode }));
+          return;
+        }
+        // 签名不符时不回退完整下载（同样会失败）
+        if (err.code === 'ERR_UPDATER_INVALID_SIGNATURE') {
+          autoUpdater.emit('error', err);
+          return;
+        }
+        Log.error('[addon:autoUpdater] resumable download error, fallback to full download: ', err);
+        this.downloadMode = 'full';
+      }
+    }
+
+    await autoUpdater.downloadUpdate(cancellationToken);
   }
-  
+
   /**
-   * 单位转换
+   * 断点续传下载到 electron-updater 缓存目录
+   * 临时文件位于 partial 目录（pending 目录会被 electron-updater 清空）
+   * sha512、签名校验通过后才写入缓存信息
    */
-  bytesChange (limit) {
-    let size = "";
-    if(limit < 0.1 * 1024){                            
-      size = limit.toFixed(2) + "B";
-    }else if(limit < 0.1 * 1024 * 1024){            
-      size = (limit/1024).toFixed(2) + "KB";
-    }else if(limit < 0.1 * 1024 * 1024 * 1024){        
-      size = (limit/(1024 * 1024)).toFixed(2) + "MB";
-    }else{                                            
-      size = (limit/(1024 * 1024 * 1024)).toFixed(2) + "GB";
+  async resumableDownload (file, cancellationToken) {
+    // electron-updater 内部的缓存目录
+    const helper = await autoUpdater.getOrCreateDownloadHelper();
+    const pendingDir = helper.cacheDirForPendingUpdate;
+    const partialDir = path.join(helper.cacheDir, 'partial');
+    fs.mkdirSync(pendingDir, { recursive: true });
+    fs.mkdirSync(partialDir, { recursive: true });
+
+    const url = new URL(file.url, this.cfg.options.url);
+    const urlPath = decodeURIComponent(url.pathname);
+    const ext = path.extname(urlPath);
+    const fileName = ext ? path.basename(urlPath) : `update.${this.getFileExtension()}`;
+    const partialFile = path.join(partialDir, `${file.sha512.replace(/[^a-zA-Z0-9]/g, '').slice(0, 16)}-${fileName}`);
+
+    // 清理其它版本遗留的临时文件
+    fs.readdirSync(partialDir).forEach((name) => {
+      const filepath = path.join(partialDir, name);
+      if (filepath !== partialFile) {
+        fs.unlinkSync(filepath);
+      }
+    });
+
+    const downloader = new ResumableDownloader({
+      url: url.href,
+      file: path.join(pendingDir, fileName),
+      partialFile,
+      sha512: file.sha512,
+      size: file.size,
+      headers: autoUpdater.requestHeaders || {},
+      onProgress: (progress) => {
+        autoUpdater.emit('download-progress', progress);
+      },
+    });
+    const downloadedFile = await downloader.download(cancellationToken);
+
+    // 跳过了 electron-updater 的下载任务，sha512 只能证明与 latest.yml 一致，
+    // windows 上还需按 app-update.yml 的 publisherName 校验安装包签名（与 NsisUpdater 相同）
+    if (is.windows()) {
+      const signatureError = await autoUpdater.verifySignature(downloadedFile);
+      if (signatureError != null) {
+        fs.unlinkSync(downloadedFile);
+        const err = new Error(`New version ${this.updateInfo.version} is not signed by the application owner: ${signatureError}`);
+        err.code = 'ERR_UPDATER_INVALID_SIGNATURE';
+        throw err;
+      }
     }
 
-    let sizeStr = size + "";                        
-    let index = sizeStr.indexOf(".");                    
-    let dou = sizeStr.substring(index + 1 , index + 3);            
-    if(dou == "00"){
-        return sizeStr.substring(0, index) + sizeStr.substring(index + 3, index + 5);
+    // 写入 electron-updater 的缓存信息，downloadUpdate 校验 sha512 后直接使用
+    const updateInfoFile = path.join(pendingDir, 'update-info.json');
+    fs.writeFileSync(updateInfoFile, JSON.stringify({
+      fileName,
+      sha512: file.sha512,
+      isAdminRightsRequired: file.isAdminRightsRequired === true,
+    }));
+  }
+
+  /**
+   * 当前平台对应的安装包信息（latest.yml files）
+   */
+  findUpdateFile () {
+    const files = (this.updateInfo && this.updateInfo.files) || [];
+    const ext = this.getFileExtension();
+
+    return files.find((item) => item.url.endsWith('.' + ext)) || null;
+  }
+
+  /**
+   * 安装包扩展名（与 electron-updater 一致）
+   */
+  getFileExtension () {
+    if (is.windows()) return 'exe';
+    if (is.macOS()) return 'zip';
+    return 'AppImage';
+  }
+
+  /**
+   * 取消下载
+   */
+  cancel () {
+    if (!this.cancellationToken) {
+      return false;
     }
+    this.cancellationToken.cancel();
+    return true;
+  }
 
-    return size;
-  }  
+  /**
+   * 退出并安装（仅"下载完成"状态下）
+   */
+  install () {
+    if (!this.enabled || this.lastStatus.status !== this.status.downloaded) {
+      return false;
+    }
+    autoUpdater.quitAndInstall();
+    return true;
+  }
+
+  /**
+   * 切换更新通道，并持久化
+   */
+  setChannel (channel) {
+    if (!this.enabled || this.lastStatus.status === this.status.downloading) {
+      return false;
+    }
+    if (!this.applyChannel(channel)) {
+      return false;
+    }
+    this.db.setItem('channel', channel);
+    this.lastStatus = {};
+    return true;
+  }
+
+  /**
+   * 设置 electron-updater 通道
+   */
+  applyChannel (channel) {
+    const allowChannels = this.cfg.channels || Object.keys(this.channels);
+    if (!this.channels.hasOwnProperty(channel) || !allowChannels.includes(channel)) {
+      Log.warn('[addon:autoUpdater] unknown channel: ', channel);
+      return false;
+    }
+    this.channel = channel;
+    autoUpdater.channel = this.channels[channel];
+    // 设置 channel 会将 allowDowngrade 置为 true，这里以配置为准
+    autoUpdater.allowDowngrade = this.cfg.allowDowngrade ? true : false;
+    Log.info('[addon:autoUpdater] channel: ', channel);
+
+    return true;
+  }
+
+  /**
+   * 安装id（electron-updater 用于灰度发布 stagingPercentage 的分组，首次检查更新时生成）
+   */
+  getInstallId () {
+    const file = path.join(electronApp.getPath('userData'), '.updaterId');
+    try {
+      return fs.readFileSync(file, 'utf8').trim();
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * 获取最后一次状态
+   */
+  getStatus () {
+    return {
+      enabled: this.enabled,
+      version: electronApp.getVersion(),
+      channel: this.channel,
+      installId: this.getInstallId(),
+      lastCheckTime: this.db ? this.db.getItem('lastCheckTime') || 0 : 0,
+      busy: [...this.busy],
+      ...this.lastStatus
+    };
+  }
+
+  /**
+   * 构造事件对象
+   * { status, code, message, version, releaseDate, releaseNotes, percent, transferred, total, bytesPerSecond, eta, mode, time }
+   * 字节数为原始值，eta 单位为秒（-1 表示未知）
+   */
+  makeEvent (status, messageKey, info = {}, extra = {}) {
+    const event = {
+      status,
+      code: extra.code || '',
+      message: '',
+      version: info.version || '',
+      releaseDate: info.releaseDate || '',
+      releaseNotes: info.releaseNotes || '',
+      percent: 0,
+      transferred: 0,
+      total: 0,
+      bytesPerSecond: 0,
+      eta: -1,
+      mode: '',
+      time: Date.now(),
+    }
+    Object.keys(event).forEach((key) => {
+      if (key !== 'message' && extra.hasOwnProperty(key)) {
+        event[key] = extra[key];
+      }
+    });
+    event.message = this.formatMessage(messageKey, {
+      version: event.version,
+      percent: event.percent,
+      transferred: this.formatBytes(event.transferred),
+      total: this.formatBytes(event.total),
+      speed: this.formatBytes(event.bytesPerSecond),
+      eta: event.eta,
+      error: extra.error || '',
+    });
+
+    return event;
+  }
+
+  /**
+   * 匹配文案语言：完全匹配 > 语言前缀匹配 > en-US
+   */
+  resolveLocale (locale = '') {
+    if (Locales.hasOwnProperty(locale)) {
+      return locale;
+    }
+    const lang = locale.split('-')[0];
+    const matched = Object.keys(Locales).find((key) => key.split('-')[0] === lang);
+
+    return matched || 'en-US';
+  }
+
+  /**
+   * 格式化文案
+   */
+  formatMessage (key, data = {}) {
+    const template = Locales[this.locale][key] || '';
+    return template.replace(/\{(\w+)\}/g, (match, name) => {
+      return data.hasOwnProperty(name) ? data[name] : match;
+    });
+  }
+
+  /**
+   * 字节数格式化（按语言格式化数字）
+   */
+  formatBytes (bytes = 0) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let i = 0;
+    while (value >= 1024 && i < units.length - 1) {
+      value = value / 1024;
+      i++;
+    }
+    const num = new Intl.NumberFormat(this.locale, { maximumFractionDigits: 2 }).format(value);
+
+    return num + units[i];
+  }
+
+  /**
+   * 发布到事件总线（主题 updater.status），并向所有窗口广播 'app.updater'，没有窗口时缓存
+   */
+  sendStatusToWindow(event = {}) {
+    this.lastStatus = event;
+    EventBus.publish('updater.status', event);
+    this.broadcast(event);
+  }
+
+  /**
+   * 向所有窗口广播，没有窗口时缓存（补发时不再重复发布到事件总线）
+   */
+  broadcast(event) {
+    const wins = BrowserWindow.getAllWindows().filter((win) => !win.isDestroyed());
+    if (wins.length === 0) {
+      this.bufferEvent(event);
+      return;
+    }
+    wins.forEach((win) => {
+      win.webContents.send(this.channelName, event);
+    });
+  }
+
+  /**
+   * 缓存事件，连续的进度事件只保留最新一条
+   */
+  bufferEvent (event) {
+    const last = this.pendingEvents[this.pendingEvents.length - 1];
+    if (last && last.status === this.status.downloading && event.status === this.status.downloading) {
+      this.pendingEvents.pop();
+    }
+    this.pendingEvents.push(event);
+    if (this.pendingEvents.length > 50) {
+      this.pendingEvents.shift();
+    }
+  }
+
+  /**
+   * 补发缓存的事件
+   */
+  flushEvents () {
+    const events = this.pendingEvents.splice(0);
+    events.forEach((event) => {
+      this.broadcast(event);
+    });
+  }
 }
 
 AutoUpdaterAddon.toString = () => '[class AutoUpdaterAddon]';
@@ -0,0 +1,30 @@
+/**
+ * 自动升级消息文案
+ * 占位符：{version} {percent} {transferred} {total} {speed} {eta} {error}
+ */
+module.exports = {
+  'zh-CN': {
+    available: '有可用更新 {version}',
+    noAvailable: '没有可用更新',
+    downloading: '已下载 {percent}% ({transferred}/{total})，{speed}/s，剩余 {eta} 秒',
+    downloaded: '下载完成',
+    cancelled: '已取消下载',
+    error: '更新出错：{error}',
+  },
+  'zh-TW': {
+    available: '有可用更新 {version}',
+    noAvailable: '沒有可用更新',
+    downloading: '已下載 {percent}% ({transferred}/{total})，{speed}/s，剩餘 {eta} 秒',
+    downloaded: '下載完成',
+    cancelled: '已取消下載',
+    error: '更新出錯：{error}',
+  },
+  'en-US': {
+    available: 'Update {version} is available',
+    noAvailable: 'No update available',
+    downloading: 'Downloaded {percent}% ({transferred}/{total}), {speed}/s, {eta}s left',
+    downloaded: 'Update downloaded',
+    cancelled: 'Download cancelled',
+    error: 'Update error: {error}',
+  },
+};
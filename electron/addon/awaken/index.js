@@ -1,6 +1,15 @@
 const { app: electronApp } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
 const Log = require('ee-core/log');
 const Conf = require('ee-core/config');
+const Addon = require('ee-core/addon');
+const CoreWindow = require('ee-core/electron/window');
+const EE = require('ee-core/ee');
+const is = require('ee-core/utils/is');
+const Ps = require('ee-core/ps');
+const EventBus = require('../../utils/eventBus');
 
 /**
  * 唤醒插件
@@ -9,7 +18,12 @@ const Conf = require('ee-core/config');
 class AwakenAddon {
 
   constructor() {
+    this.cfg = {};
     this.protocol = '';
+    this.routes = [];
+    this.channel = 'app.awaken';
+    this.isWindowReady = false;
+    this.queue = [];
   }
 
   /**
@@ -19,30 +33,129 @@ class AwakenAddon {
     Log.info('[addon:awaken] load');
 
     const cfg = Conf.getValue('addons.awaken');
+    this.cfg = cfg;
     this.protocol = cfg.protocol;
-  
-    electronApp.setAsDefaultProtocolClient(this.protocol);
-  
+    this.routes = cfg.routes || [];
+
+    // 单实例锁由 ee-core 申请，第二个实例会退出，其参数经 second-instance 交给已运行的实例
+    if (!electronApp.hasSingleInstanceLock()) {
+      return
+    }
+
+    this.registerProtocol();
+
+    // 主窗口的前端页面通过 bridge 通知就绪后，再分发排队中的链接
+    // 开发环境会先加载 ee-core 的启动页，不能以 did-finish-load 为准；页面重新加载时重新排队
+    const mainWindow = CoreWindow.getMainWindow();
+    Addon.get('bridge').on('ready', (contents) => {
+      if (contents === mainWindow.webContents) {
+        this.windowReady();
+      }
+    });
+    mainWindow.webContents.on('did-start-loading', () => {
+      this.isWindowReady = false;
+    });
+
     this.handleArgv(process.argv);
+    // 恢复主窗口由 ee-core 处理
     electronApp.on('second-instance', (event, argv) => {
-      if (process.platform === 'win32') {
-        this.handleArgv(argv)
-      }
+      this.handleArgv(argv)
     })
-  
+
     // 仅用于macOS
     electronApp.on('open-url', (event, urlStr) => {
       this.handleUrl(urlStr)
     })
   }
 
+  /**
+   * 注册协议
+   */
+  registerProtocol () {
+    if (electronApp.isPackaged) {
+      electronApp.setAsDefaultProtocolClient(this.protocol);
+    } else {
+      // 开发环境需要带上入口路径
+      electronApp.setAsDefaultProtocolClient(this.protocol, process.execPath, [path.resolve(process.argv[1])]);
+    }
+
+    // deb、rpm、pacman 安装包的协议由 builder.json 的 protocols 生成，仅免安装运行和 AppImage 需要注册
+    if (is.linux() && (!electronApp.isPackaged || process.env.APPIMAGE)) {
+      this.registerLinuxProtocol();
+    }
+  }
+
+  /**
+   * linux：生成 .desktop 文件（MimeType）并设为协议默认处理程序（开发环境、AppImage）
+   */
+  registerLinuxProtocol () {
+    const desktopName = `${Ps.appName()}-url-handler.desktop`;
+    const appDir = path.join(Ps.getUserHomeDir(), '.local', 'share', 'applications');
+    const desktopFile = path.join(appDir, desktopName);
+    const mimeType = `x-scheme-handler/${this.protocol}`;
+
+    let execCmd = `"${process.execPath}"`;
+    if (!electronApp.isPackaged) {
+      execCmd += ` "${path.resolve(process.argv[1])}"`;
+    }
+    // AppImage 运行时 execPath 为临时挂载目录
+    if (process.env.APPIMAGE) {
+      execCmd = `"${process.env.APPIMAGE}"`;
+    }
+
+    const content = [
+      '[Desktop Entry]',
+      `Name=${Ps.appName()}`,
+      `Exec=${execCmd} %u`,
+      'Type=Application',
+      'Terminal=false',
+      'NoDisplay=true',
+      `MimeType=${mimeType};`,
+      ''
+    ].join('\n');
+
+    try {
+      if (fs.existsSync(desktopFile) && fs.readFileSync(desktopFile, 'utf8') === content) {
+        return
+      }
+      fs.mkdirSync(appDir, { recursive: true });
+      fs.writeFileSync(desktopFile, content);
+    } catch (err) {
+      Log.error('[addon:awaken] write desktop file error:', err);
+      return
+    }
+
+    execFile('xdg-mime', ['default', desktopName, mimeType], (err) => {
+      if (err) {
+        Log.error('[addon:awaken] xdg-mime error:', err.message);
+        return
+      }
+      Log.info('[addon:awaken] linux protocol registered:', desktopFile);
+    });
+  }
+
+  /**
+   * 窗口已就绪，回放队列中的链接
+   */
+  windowReady () {
+    this.isWindowReady = true;
+    const list = this.queue.splice(0);
+    list.forEach((awakeUrlInfo) => {
+      this.dispatch(awakeUrlInfo);
+    });
+  }
+
   /**
    * 参数处理
-   */  
+   */
   handleArgv(argv) {
-    const offset = electronApp.isPackaged ? 1 : 2;
-    const url = argv.find((arg, i) => i >= offset && arg.startsWith(this.protocol));
-    this.handleUrl(url)
+    try {
+      const offset = electronApp.isPackaged ? 1 : 2;
+      const url = argv.find((arg, i) => i >= offset && typeof arg === 'string' && arg.startsWith(this.protocol + '://'));
+      this.handleUrl(url)
+    } catch (err) {
+      Log.error('[addon:awaken] handleArgv error:', err);
+    }
   }
 
   /**
@@ -52,16 +165,196 @@ class AwakenAddon {
     if (!awakeUrlStr || awakeUrlStr.length === 0) {
       return
     }
-    const {hostname, pathname, search} = new URL(awakeUrlStr);
-    let awakeUrlInfo = {
+
+    let awakeUrlInfo;
+    try {
+      awakeUrlInfo = this.parseUrl(awakeUrlStr);
+    } catch (err) {
+      // 被拒绝的链接只记录，不分发
+      const maxUrlLength = this.cfg.maxUrlLength || 2048;
+      Log.error('[addon:awaken] rejected url: %s, reason: %s', String(awakeUrlStr).slice(0, maxUrlLength), err.message);
+      return
+    }
+    Log.info('[addon:awaken] awakeUrlInfo:', awakeUrlInfo);
+
+    if (!this.isWindowReady) {
+      this.queue.push(awakeUrlInfo);
+      return
+    }
+    this.dispatch(awakeUrlInfo);
+  }
+
+  /**
+   * 解析并校验url，不合法时抛出异常
+   */
+  parseUrl(awakeUrlStr) {
+    const maxUrlLength = this.cfg.maxUrlLength || 2048;
+    if (awakeUrlStr.length > maxUrlLength) {
+      throw new Error(`url length exceeds ${maxUrlLength}`);
+    }
+
+    const { protocol, hostname, pathname, search, searchParams } = new URL(awakeUrlStr);
+    if (protocol !== this.protocol + ':') {
+      throw new Error(`protocol '${protocol}' not allowed`);
+    }
+
+    const route = this.matchRoute(hostname, pathname);
+    if (!route) {
+      throw new Error(`host '${hostname}' path '${pathname}' not allowed`);
+    }
+
+    // 合并查询参数与路径参数，再按 schema 校验
+    const rawParams = Object.assign({}, route.pathParams);
+    for (const [key, value] of searchParams) {
+      if (rawParams.hasOwnProperty(key)) {
+        throw new Error(`param '${key}' is duplicated`);
+      }
+      rawParams[key] = value;
+    }
+    const params = this.validateParams(route.params || {}, rawParams);
+
+    return {
       urlStr: awakeUrlStr,
       urlHost: hostname,
       urlPath: pathname,
-      urlParams: search && search.slice(1)
+      urlParams: search && search.slice(1),
+      params: params,
+      action: route.action || ''
     }
-    Log.info('[addon:awaken] awakeUrlInfo:', awakeUrlInfo);
+  }
+
+  /**
+   * 按 schema 校验参数并转换类型
+   * schema: { name: { type: 'string|number|integer|boolean', required, maxLength, pattern, enum } }
+   */
+  validateParams(schema, rawParams) {
+    const maxParamLength = this.cfg.maxParamLength || 256;
+    const params = {};
+
+    for (const key of Object.keys(rawParams)) {
+      if (!schema.hasOwnProperty(key)) {
+        throw new Error(`param '${key}' not allowed`);
+      }
+    }
+
+    for (const key of Object.keys(schema)) {
+      const rule = schema[key];
+      const raw = rawParams[key];
+      if (raw === undefined) {
+        if (rule.required) {
+          throw new Error(`param '${key}' is required`);
+        }
+        continue;
+      }
+
+      const maxLength = rule.maxLength || maxParamLength;
+      if (raw.length > maxLength) {
+        throw new Error(`param '${key}' length exceeds ${maxLength}`);
+      }
+      if (rule.pattern && !new RegExp(rule.pattern).test(raw)) {
+        throw new Error(`param '${key}' does not match pattern`);
+      }
+
+      const value = this.castValue(raw, rule.type || 'string');
+      if (value === undefined) {
+        throw new Error(`param '${key}' must be ${rule.type}`);
+      }
+      if (Array.isArray(rule.enum) && !rule.enum.includes(value)) {
+        throw new Error(`param '${key}' must be one of ${rule.enum.join(',')}`);
+      }
+      params[key] = value;
+    }
+
+    return params;
+  }
+
+  /**
+   * 类型转换，无法转换时返回 undefined
+   */
+  castValue(value, type) {
+    switch (type) {
+      case 'string':
+        return value;
+      case 'number':
+        return (value.trim() !== '' && isFinite(Number(value))) ? Number(value) : undefined;
+      case 'integer':
+        return /^-?\d+$/.test(value) && Number.isSafeInteger(Number(value)) ? Number(value) : undefined;
+      case 'boolean':
+        if (value === 'true' || value === '1') return true;
+        if (value === 'false' || value === '0') return false;
+        return undefined;
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * 匹配路由（白名单），host 支持 '*'，path 支持 ':name' 占位
+   */
+  matchRoute(host, pathname) {
+    const pathSegments = pathname.split('/').filter(Boolean);
+    for (const route of this.routes) {
+      if (route.host !== '*' && route.host !== host) {
+        continue;
+      }
+      const routeSegments = (route.path || '/').split('/').filter(Boolean);
+      if (routeSegments.length !== pathSegments.length) {
+        continue;
+      }
+
+      const pathParams = {};
+      const matched = routeSegments.every((segment, i) => {
+        if (segment.startsWith(':')) {
+          pathParams[segment.slice(1)] = decodeURIComponent(pathSegments[i]);
+          return true;
+        }
+        return segment === pathSegments[i];
+      });
+      if (matched) {
+        return Object.assign({}, route, { pathParams });
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 分发：发布到事件总线（主题 awaken.url），转发给主窗口，并调用控制器
+   */
+  async dispatch(awakeUrlInfo) {
+    EventBus.publish('awaken.url', awakeUrlInfo);
+    const mainWindow = CoreWindow.getMainWindow();
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send(this.channel, awakeUrlInfo);
+    }
+
+    if (!awakeUrlInfo.action) {
+      return
+    }
+    try {
+      const fn = this.findFn(awakeUrlInfo.action);
+      await fn.call(EE.CoreApp, awakeUrlInfo.params);
+    } catch (err) {
+      Log.error('[addon:awaken] dispatch error, action:%s, error:', awakeUrlInfo.action, err);
+    }
+  }
+
+  /**
+   * 查找函数，如：controller.order.open
+   */
+  findFn(cmd) {
+    let obj = EE.CoreApp;
+    cmd.split('.').forEach(key => {
+      obj = obj[key];
+      if (!obj) throw new Error(`class or function '${key}' not exists`);
+    });
+    if (typeof obj !== 'function') {
+      throw new Error(`'${cmd}' is not a function`);
+    }
+
+    return obj;
   }
 }
 
 AwakenAddon.toString = () => '[class AwakenAddon]';
-module.exports = AwakenAddon;
\ No newline at end of file
+module.exports = AwakenAddon;
@@ -0,0 +1,150 @@
+const { ipcMain } = require('electron');
+const EventEmitter = require('events');
+const Log = require('ee-core/log');
+const Conf = require('ee-core/config');
+const EE = require('ee-core/ee');
+const Envelope = require('../../utils/envelope');
+const Stream = require('../../utils/stream');
+const EventBus = require('../../utils/eventBus');
+const { NotFoundError, ValidationError } = require('../../utils/errors');
+
+/**
+ * ipc桥接插件
+ * 为 preload/bridge.js 提供通道白名单，渲染进程的调用在主进程再次校验
+ * 渲染进程页面就绪（已注册监听）后调用 ready()，触发 'ready' 事件（参数为 webContents）
+ * @class
+ */
+class BridgeAddon extends EventEmitter {
+
+  constructor() {
+    super();
+    this.cfg = {};
+    // 可调用的通道（由 electron/controller 下的控制器生成）
+    this.channels = [];
+    // 可监听的通道
+    this.events = [];
+    // 进行中的流式调用：traceId -> stream
+    this.streams = new Map();
+    this.channelName = {
+      channels: 'app.bridge.channels',
+      invoke: 'app.bridge.invoke',
+      cancel: 'app.bridge.cancel',
+      subscribe: 'app.bus.subscribe',
+      unsubscribe: 'app.bus.unsubscribe',
+      ready: 'app.bridge.ready',
+    };
+  }
+
+  /**
+   * 创建（需在主窗口加载页面之前）
+   */
+  create () {
+    Log.info('[addon:bridge] load');
+    this.cfg = Conf.getValue('addons.bridge');
+    this.channels = this.getControllerChannels();
+    this.events = this.channels.concat(this.cfg.events || []);
+
+    // bridge.js 启动时同步获取白名单
+    ipcMain.on(this.channelName.channels, (event) => {
+      event.returnValue = {
+        invoke: this.channels,
+        on: this.events,
+      };
+    });
+
+    // 所有调用经此转发，未知通道直接拒绝；meta.traceId 由渲染进程生成，用于关联日志
+    ipcMain.handle(this.channelName.invoke, async (event, channel, args, meta) => {
+      const clientTraceId = meta && typeof meta.traceId === 'string' ? meta.traceId : '';
+      const traceId = /^[\w-]{1,64}$/.test(clientTraceId) ? clientTraceId : Envelope.createTraceId();
+      if (!this.channels.includes(channel)) {
+        Log.warn('[addon:bridge] rejected channel: %s, traceId: %s, url: %s', channel, traceId, event.senderFrame && event.senderFrame.url);
+        return Envelope.fail(new NotFoundError(`channel '${channel}' not allowed`), traceId);
+      }
+
+      event.traceId = traceId;
+      const fn = this.findFn(channel);
+      if (!(meta && meta.stream)) {
+        return await fn.call(EE.CoreApp, args, event);
+      }
+      // 流式调用的推送频道由渲染进程的 traceId 决定，不合法或正在使用时拒绝
+      if (traceId !== clientTraceId || this.streams.has(traceId)) {
+        return Envelope.fail(new ValidationError(`stream traceId '${clientTraceId}' is invalid or in use`), traceId);
+      }
+
+      // 流式调用：数据块、进度推送到 'app.bridge.stream.<traceId>'，窗口关闭时自动取消
+      const stream = Stream.create(event.sender, traceId);
+      const onDestroyed = () => stream.abort();
+      event.stream = stream;
+      event.sender.once('destroyed', onDestroyed);
+      this.streams.set(traceId, stream);
+      try {
+        return await fn.call(EE.CoreApp, args, event);
+      } finally {
+        this.streams.delete(traceId);
+        event.sender.removeListener('destroyed', onDestroyed);
+      }
+    });
+
+    // 取消流式调用（仅发起调用的窗口可以取消）
+    ipcMain.on(this.channelName.cancel, (event, traceId) => {
+      const stream = this.streams.get(traceId);
+      if (stream && stream.sender === event.sender) {
+        Log.info('[addon:bridge] stream cancelled, traceId: %s', traceId);
+        stream.abort();
+      }
+    });
+
+    // 事件总线订阅，事件经 'app.bus.event' 推送；窗口关闭时由 EventBus 自动清理
+    ipcMain.on(this.channelName.subscribe, (event, pattern) => {
+      event.returnValue = EventBus.subscribeWindow(event.sender, pattern);
+    });
+    ipcMain.on(this.channelName.unsubscribe, (event, pattern) => {
+      EventBus.unsubscribeWindow(event.sender, pattern);
+    });
+
+    // 渲染进程页面就绪
+    ipcMain.on(this.channelName.ready, (event) => {
+      Log.info('[addon:bridge] ready, url: %s', event.senderFrame && event.senderFrame.url);
+      this.emit('ready', event.sender);
+    });
+  }
+
+  /**
+   * 遍历控制器，生成通道列表，如：controller.example.test
+   */
+  getControllerChannels () {
+    const channels = [];
+    const walk = (obj, prefix) => {
+      Object.keys(obj).forEach((key) => {
+        const name = `${prefix}.${key}`;
+        if (typeof obj[key] === 'function') {
+          channels.push(name);
+        } else if (obj[key] && typeof obj[key] === 'object') {
+          walk(obj[key], name);
+        }
+      });
+    };
+    walk(EE.CoreApp.controller || {}, 'controller');
+
+    return channels;
+  }
+
+  /**
+   * 查找函数，如：controller.example.test
+   */
+  findFn (cmd) {
+    let obj = EE.CoreApp;
+    cmd.split('.').forEach(key => {
+      obj = obj[key];
+      if (!obj) throw new Error(`class or function '${key}' not exists`);
+    });
+    if (typeof obj !== 'function') {
+      throw new Error(`'${cmd}' is not a function`);
+    }
+
+    return obj;
+  }
+}
+
+BridgeAddon.toString = () => '[class BridgeAddon]';
+module.exports = BridgeAddon;
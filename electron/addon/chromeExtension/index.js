@@ -3,6 +3,7 @@ const _ = require('lodash');
 const fs = require('fs');
 const path = require('path');
 const Log = require('ee-core/log');
+const Addon = require('ee-core/addon');
 
 /**
  * 扩展插件 （electron自身对该功能并不完全支持，官方也不建议使用）
@@ -60,6 +61,10 @@ class ChromeExtensionAddon {
     try {
       const extensionPath = path.join(this.getDirectory(), extensionId);
       Log.info('[addon:chromeExtension] extensionPath:', extensionPath);
+      if (!(await Addon.get('security').verifyResource(extensionPath))) {
+        Log.error('[addon:chromeExtension] integrity check failed, extensionId:', extensionId);
+        return false
+      }
       await session.defaultSession.loadExtension(extensionPath, { allowFileAccess: true });
     } catch (e) {
       Log.info('[addon:chromeExtension] load extension error extensionId:%s, errorInfo:%s', extensionId, e.toString());
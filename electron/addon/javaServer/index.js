@@ -1,11 +1,13 @@
-const server = require("./server");
 const { app: electronApp } = require('electron');
 const Log = require('ee-core/log');
 const Conf = require('ee-core/config');
-const GetPort = require('ee-core/utils/get-port');
+const EventBus = require('../../utils/eventBus');
+const Sidecar = require('../sidecars/sidecar');
+const Presets = require('../sidecars/presets');
 
 /**
  * java server插件
+ * 由边车进程（addon/sidecars/sidecar.js）按 java 预设启动、守护，状态变化发布到事件总线（主题 javaServer.status）
  * @class
  */
 class JavaServerAddon {
@@ -24,52 +26,91 @@ class JavaServerAddon {
   async createServer () {
 
     this.cfg = Conf.getValue('addons.javaServer');
+    if (!this.cfg.enable) {
+      return;
+    }
+
+    this.javaServer = new Sidecar(Presets.java(Object.assign({}, this.cfg, { name: 'java', jar: this.cfg.name })));
+    this.javaServer.on('status', (data) => {
+      EventBus.publish('javaServer.status', data);
+    });
     await this.createJavaPorts();
 
-    this.javaServer = new server();
-    await this.javaServer.create(this.cfg);
+    try {
+      await this.javaServer.start();
+    } catch (err) {
+      Log.error('[addon:javaServer] throw error:', err);
+    }
 
-    // kill
-    electronApp.on("before-quit", async () => {
-      Log.info("[addon:javaServer] before-quit: kill-----------");
-      await this.javaServer.kill();
+    // 退出前等待 java 进程结束
+    electronApp.on("before-quit", (event) => {
+      if (!this.javaServer.isRun()) {
+        return;
+      }
+      Log.info("[addon:javaServer] before-quit: kill");
+      event.preventDefault();
+      this.javaServer.stop().finally(() => {
+        electronApp.quit();
+      });
     });
 
     return;
   }
 
   /**
-   * todo 检查服务是否启动
+   * 检查进程是否运行中
    *
    * @function 
    * @since 1.0.0
    */
   async check () {
-    Log.info("进入-----检查服务是否启动------"+this.javaServer);
-    if(this.javaServer == undefined){
-      Log.info("[addon:javaServer:check] status-----------"+false);
+    if (this.javaServer == undefined) {
       return false;
     }
-    
-    const flag = await this.javaServer.isRun(Conf.getValue('addons.javaServer'));
-    Log.info("[addon:javaServer:check] status-----------"+flag);
+    const flag = this.javaServer.isRun();
+    Log.info("[addon:javaServer:check] status:", flag);
 
-    return flag;    
+    return flag;
   }
 
   /**
-   * 创建服务端口
+   * 状态：{ status, pid, port, startedAt, readyAt, crashes }
+   */
+  getStatus () {
+    if (this.javaServer == undefined) {
+      return { status: 'stopped', pid: 0, port: 0, startedAt: 0, readyAt: 0, crashes: 0 };
+    }
+    return this.javaServer.getStatus();
+  }
+
+  /**
+   * 重启
+   */
+  async restart () {
+    if (this.javaServer == undefined) {
+      throw new Error('java server is not enabled');
+    }
+    await this.javaServer.restart();
+  }
+
+  /**
+   * 最近的输出
+   */
+  getLogs (lines) {
+    if (this.javaServer == undefined) {
+      return [];
+    }
+    return this.javaServer.getLogs(lines);
+  }
+
+  /**
+   * 创建服务端口（EE_JAVA_PORT）
    *
    * @function 
    * @since 1.0.0
    */
   async createJavaPorts() {
-    if (!this.cfg.enable) {
-      return;
-    }
-    const javaPort = await GetPort({ port: this.cfg.port });
-    process.env.EE_JAVA_PORT = javaPort;
-    this.cfg.port = javaPort;
+    this.cfg.port = await this.javaServer.allocatePort();
 
     // 更新config配置
     Conf.setValue('addons.javaServer', this.cfg);
@@ -82,10 +123,10 @@ class JavaServerAddon {
    * @since 1.0.0
    */
   async kill() {
-    if (!this.cfg.enable) {
+    if (this.javaServer == undefined) {
       return;
     }
-    await this.javaServer.kill();
+    await this.javaServer.stop();
   }
 }
 
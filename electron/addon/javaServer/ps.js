@@ -1,257 +1,346 @@
-var ChildProcess = require("child_process");
-var IS_WIN = process.platform === "win32";
-var TableParser = require("table-parser");
-/**
- * End of line.
- * Basically, the EOL should be:
- * - windows: \r\n
- * - *nix: \n
- * But i'm trying to get every possibilities covered.
- */
-var EOL = /(\r\n)|(\n\r)|\n|\r/;
-var SystemEOL = require("os").EOL;
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
 
 /**
- * Execute child process
- * @type {Function}
- * @param {String[]} args
- * @param {String} where
- * @param {Function} callback
- * @param {Object=null} callback.err
- * @param {Object[]} callback.stdout
+ * 进程树工具（Promise）
+ * 按名称、参数、端口查找进程，获取子进程，结束整个进程树并确认进程已退出
+ * 进程列表：Linux/macOS 使用 ps，Windows 使用 PowerShell Get-CimInstance（wmic 已弃用）
+ * 监听端口：Linux 使用 ss，macOS 使用 lsof，Windows 使用 netstat
+ * parseXxx 为纯函数，只解析命令输出
  */
-var Exec = function (args, where) {
-  var spawnSync = ChildProcess.spawnSync;
-  var execSync = ChildProcess.execSync;
-
-  // on windows, if use ChildProcess.exec(`wmic process get`), the stdout will gives you nothing
-  // that's why I use `cmd` instead
-  if (IS_WIN) {
-    const cmd = `wmic process where ${where} get ProcessId,ParentProcessId,CommandLine \n`;
-    const result = execSync(cmd);
-    if (!result) {
-      throw new Error(result);
-    }
-
-    var stdout = result.toString();
 
-    var beginRow;
-    stdout = stdout.split(EOL);
+const IS_WIN = process.platform === 'win32';
+const EOL = /\r?\n/;
 
-    // Find the line index for the titles
-    stdout.forEach(function (out, index) {
-      if (
-        out &&
-        typeof beginRow == "undefined" &&
-        out.indexOf("CommandLine") === 0
-      ) {
-        beginRow = index;
+/**
+ * 执行命令，返回 stdout
+ */
+function exec (file, args, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    execFile(file, args, { timeout, windowsHide: true, maxBuffer: 16 * 1024 * 1024 }, (err, stdout) => {
+      if (err) {
+        return reject(err);
       }
+      resolve(stdout.toString());
     });
-
-    // get rid of the start (copyright) and the end (current pwd)
-    stdout.splice(stdout.length - 1, 1);
-    stdout.splice(0, beginRow);
-
-    return stdout.join(SystemEOL) || false;
-  } else {
-    if (typeof args === "string") {
-      args = args.split(/\s+/);
-    }
-    const result = spawnSync("ps", args);
-    if (result.stderr && !!result.stderr.toString()) {
-      throw new Error(result.stderr);
-    } else {
-      return result.stdout.toString();
-    }
-  }
-};
+  });
+}
 
 /**
- * Query Process: Focus on pid & cmd
- * @param query
- * @param {String|String[]} query.pid
- * @param {String} query.command RegExp String
- * @param {String} query.arguments RegExp String
- * @param {String|array} query.psargs
- * @param {String|array} query.where where 条件
- * @param {Function} callback
- * @param {Object=null} callback.err
- * @param {Object[]} callback.processList
- * @return {Object}
+ * 可执行文件名（不含目录）
  */
+function basename (file) {
+  return file ? path.win32.basename(path.posix.basename(file)) : '';
+}
 
-exports.lookup = function (query) {
-  /**
-   * add 'lx' as default ps arguments, since the default ps output in linux like "ubuntu", wont include command arguments
-   */
-  var exeArgs = query.psargs || ["lx"];
-  var where = query.where || 'name="javaw.exe"';
-  var filter = {};
-  var idList;
-
-  // Lookup by PID
-  if (query.pid) {
-    if (Array.isArray(query.pid)) {
-      idList = query.pid;
-    } else {
-      idList = [query.pid];
+/**
+ * 解析 `ps -A -o pid=,ppid=,args=` 的输出
+ * @returns {Array<{ pid, ppid, name, command }>}
+ */
+function parsePs (stdout) {
+  const list = [];
+  String(stdout || '').split(EOL).forEach((line) => {
+    const match = /^\s*(\d+)\s+(\d+)\s?(.*)$/.exec(line);
+    if (!match) {
+      return;
     }
-
-    // Cast all PIDs as Strings
-    idList = idList.map(function (v) {
-      return String(v);
+    const command = match[3].trim();
+    list.push({
+      pid: parseInt(match[1]),
+      ppid: parseInt(match[2]),
+      name: basename(command.split(/\s+/)[0]),
+      command,
     });
-  }
-
-  if (query.command) {
-    filter["command"] = new RegExp(query.command, "i");
-  }
-
-  if (query.arguments) {
-    filter["arguments"] = new RegExp(query.arguments, "i");
-  }
+  });
+  return list;
+}
 
-  if (query.ppid) {
-    filter["ppid"] = new RegExp(query.ppid);
+/**
+ * 解析 `Get-CimInstance Win32_Process | Select-Object ProcessId,ParentProcessId,Name,CommandLine | ConvertTo-Json` 的输出
+ * 只有一个进程时 ConvertTo-Json 输出对象而不是数组
+ * @returns {Array<{ pid, ppid, name, command }>}
+ */
+function parseCimProcess (stdout) {
+  const text = String(stdout || '').trim();
+  if (!text) {
+    return [];
   }
+  return [].concat(JSON.parse(text)).map((item) => ({
+    pid: Number(item.ProcessId),
+    ppid: Number(item.ParentProcessId),
+    name: item.Name || '',
+    command: item.CommandLine || item.Name || '',
+  }));
+}
 
-  const result = Exec(exeArgs, where);
-
-  var processList = parseGrid(result);
-  var resultList = [];
-
-  processList.forEach(function (p) {
-    var flt;
-    var type;
-    var result = true;
+/**
+ * 地址中的端口，如 0.0.0.0:8080、[::]:8080、*:8080
+ */
+function getPort (address) {
+  const match = /:(\d+)$/.exec(address || '');
+  return match ? parseInt(match[1]) : 0;
+}
 
-    if (idList && idList.indexOf(String(p.pid)) < 0) {
+/**
+ * 解析 `ss -Hltnp` 的输出
+ * @returns {Array<{ port, pid }>}
+ */
+function parseSs (stdout) {
+  const list = [];
+  String(stdout || '').split(EOL).forEach((line) => {
+    const columns = line.trim().split(/\s+/);
+    const port = getPort(columns[3]);
+    if (!port) {
       return;
     }
+    // users:(("java",pid=123,fd=45),("java",pid=124,fd=45))
+    const pids = (line.match(/pid=\d+/g) || []).map((item) => parseInt(item.slice(4)));
+    new Set(pids).forEach((pid) => list.push({ port, pid }));
+  });
+  return list;
+}
 
-    for (type in filter) {
-      flt = filter[type];
-      result = flt.test(p[type]) ? result : false;
+/**
+ * 解析 `lsof -nP -iTCP -sTCP:LISTEN -F pn` 的输出（p 开头为 pid，n 开头为地址）
+ * @returns {Array<{ port, pid }>}
+ */
+function parseLsof (stdout) {
+  const list = [];
+  let pid = 0;
+  String(stdout || '').split(EOL).forEach((line) => {
+    if (line[0] === 'p') {
+      pid = parseInt(line.slice(1));
+    } else if (line[0] === 'n' && pid) {
+      const port = getPort(line.slice(1));
+      if (port && !list.some((item) => item.port === port && item.pid === pid)) {
+        list.push({ port, pid });
+      }
     }
+  });
+  return list;
+}
 
-    if (result) {
-      resultList.push(p);
+/**
+ * 解析 `netstat -ano -p TCP` 的输出，只保留 LISTENING
+ * @returns {Array<{ port, pid }>}
+ */
+function parseNetstat (stdout) {
+  const list = [];
+  String(stdout || '').split(EOL).forEach((line) => {
+    const columns = line.trim().split(/\s+/);
+    if (columns[0] !== 'TCP' || columns[3] !== 'LISTENING') {
+      return;
+    }
+    const port = getPort(columns[1]);
+    const pid = parseInt(columns[4]);
+    if (port && pid && !list.some((item) => item.port === port && item.pid === pid)) {
+      list.push({ port, pid });
     }
   });
-
-  return resultList;
-};
+  return list;
+}
 
 /**
- * Kill process
- * @param pid
- * @param {Object|String} signal
- * @param {String} signal.signal
- * @param {number} signal.timeout
- * @param next
+ * 所有进程
+ * @returns {Promise<Array<{ pid, ppid, name, command }>>}
  */
-
-exports.kill = function (pid, signal, next) {
-  //opts are optional
-  if (arguments.length == 2 && typeof signal == "function") {
-    next = signal;
-    signal = undefined;
+async function list () {
+  if (IS_WIN) {
+    const script = 'Get-CimInstance Win32_Process | Select-Object ProcessId,ParentProcessId,Name,CommandLine | ConvertTo-Json -Compress';
+    return parseCimProcess(await exec('powershell.exe', ['-NoProfile', '-NonInteractive', '-Command', script]));
   }
+  return parsePs(await exec('ps', ['-A', '-o', 'pid=,ppid=,args=']));
+}
 
-  var checkTimeoutSeconds = (signal && signal.timeout) || 30;
-
-  if (typeof signal === "object") {
-    signal = signal.signal;
+/**
+ * 监听中的 tcp 端口
+ * @returns {Promise<Array<{ port, pid }>>}
+ */
+async function listPorts () {
+  if (IS_WIN) {
+    return parseNetstat(await exec('netstat', ['-ano', '-p', 'TCP']));
   }
-
-  try {
-    process.kill(pid, signal);
-  } catch (e) {
-    return next && next(e);
+  if (process.platform === 'darwin') {
+    // 没有匹配的进程时 lsof 退出码为 1
+    return parseLsof(await exec('lsof', ['-nP', '-iTCP', '-sTCP:LISTEN', '-F', 'pn']).catch(() => ''));
   }
+  return parseSs(await exec('ss', ['-Hltnp']));
+}
 
-  var checkConfident = 0;
-  var checkTimeoutTimer = null;
-  var checkIsTimeout = false;
+/**
+ * 查找进程，条件之间为且
+ * @param query.pid pid 或 pid 数组
+ * @param query.name 可执行文件名，如 'java'、'javaw.exe'（不区分大小写）
+ * @param query.args 命令行包含的字符串或正则，如 'ee-java.jar'
+ * @param query.port 监听的 tcp 端口
+ * @returns {Promise<Array<{ pid, ppid, name, command }>>}
+ */
+async function lookup (query = {}) {
+  let result = await list();
 
-  function checkKilled(finishCallback) {
-    exports.lookup({ pid: pid }, function (err, list) {
-      if (checkIsTimeout) return;
+  if (query.pid) {
+    const pids = [].concat(query.pid).map(Number);
+    result = result.filter((item) => pids.includes(item.pid));
+  }
+  if (query.name) {
+    const name = String(query.name).toLowerCase();
+    result = result.filter((item) => item.name.toLowerCase() === name);
+  }
+  if (query.args) {
+    const args = query.args;
+    result = result.filter((item) => args instanceof RegExp ? args.test(item.command) : item.command.includes(args));
+  }
+  if (query.port) {
+    const port = parseInt(query.port);
+    const pids = (await listPorts()).filter((item) => item.port === port).map((item) => item.pid);
+    result = result.filter((item) => pids.includes(item.pid));
+  }
+  return result;
+}
 
-      if (err) {
-        clearTimeout(checkTimeoutTimer);
-        finishCallback && finishCallback(err);
-      } else if (list.length > 0) {
-        checkConfident = checkConfident - 1 || 0;
-        checkKilled(finishCallback);
-      } else {
-        checkConfident++;
-        if (checkConfident === 5) {
-          clearTimeout(checkTimeoutTimer);
-          finishCallback && finishCallback();
-        } else {
-          checkKilled(finishCallback);
-        }
+/**
+ * 从进程列表中获取 pid 的所有后代进程（先子后孙）
+ */
+function getDescendants (processes, pid) {
+  const result = [];
+  const queue = [Number(pid)];
+  while (queue.length) {
+    const parent = queue.shift();
+    processes.forEach((item) => {
+      // pid 0、1 的父进程可能是自身
+      if (item.ppid === parent && item.pid !== parent && !result.includes(item)) {
+        result.push(item);
+        queue.push(item.pid);
       }
     });
   }
-
-  next && checkKilled(next);
-
-  checkTimeoutTimer =
-    next &&
-    setTimeout(function () {
-      checkIsTimeout = true;
-      next(new Error("Kill process timeout"));
-    }, checkTimeoutSeconds * 1000);
-};
+  return result;
+}
 
 /**
- * Parse the stdout into readable object.
- * @param {String} output
+ * 子进程
+ * @param pid
+ * @param recursive 是否包含孙进程等所有后代，默认 true
+ * @returns {Promise<Array<{ pid, ppid, name, command }>>}
  */
-
-function parseGrid(output) {
-  if (!output) {
-    return [];
+async function children (pid, recursive = true) {
+  const processes = await list();
+  if (!recursive) {
+    return processes.filter((item) => item.ppid === Number(pid) && item.pid !== Number(pid));
   }
-  return formatOutput(TableParser.parse(output));
+  return getDescendants(processes, pid);
 }
 
 /**
- * format the structure, extract pid, command, arguments, ppid
- * @param data
- * @return {Array}
+ * 解析 /proc/<pid>/stat 中的进程状态（R、S、Z 等），进程名可能包含空格和括号
  */
+function parseProcState (stat) {
+  const text = String(stat || '');
+  return text.slice(text.lastIndexOf(')') + 2).split(' ')[0] || '';
+}
 
-function formatOutput(data) {
-  var formatedData = [];
-  data.forEach(function (d) {
-    var pid =
-      (d.PID && d.PID[0]) || (d.ProcessId && d.ProcessId[0]) || undefined;
-    var cmd = d.CMD || d.CommandLine || d.COMMAND || undefined;
-    var ppid =
-      (d.PPID && d.PPID[0]) ||
-      (d.ParentProcessId && d.ParentProcessId[0]) ||
-      undefined;
+/**
+ * 进程是否存在（无权限发送信号时也视为存在，Linux 下僵尸进程视为已退出）
+ */
+function isAlive (pid) {
+  try {
+    process.kill(pid, 0);
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+  if (process.platform === 'linux') {
+    try {
+      return parseProcState(fs.readFileSync(`/proc/${pid}/stat`, 'utf8')) !== 'Z';
+    } catch (err) {
+      return err.code !== 'ENOENT';
+    }
+  }
+  return true;
+}
 
-    if (pid && cmd) {
-      var command = cmd[0];
-      var args = "";
+/**
+ * 向进程发送信号，进程已不存在时忽略
+ */
+function signal (pid, sig) {
+  try {
+    process.kill(pid, sig);
+  } catch (err) {
+    if (err.code !== 'ESRCH') {
+      throw err;
+    }
+  }
+}
 
-      if (cmd.length > 1) {
-        args = cmd.slice(1);
+/**
+ * 等待进程全部退出，返回超时后仍存在的 pid
+ */
+function waitExit (pids, timeout, interval) {
+  const start = Date.now();
+  return new Promise((resolve) => {
+    const check = () => {
+      const alive = pids.filter(isAlive);
+      if (alive.length === 0 || Date.now() - start >= timeout) {
+        return resolve(alive);
       }
-
-      formatedData.push({
-        pid: pid,
-        command: command,
-        arguments: args,
-        ppid: ppid,
-      });
-    }
+      setTimeout(check, interval);
+    };
+    check();
   });
+}
+
+/**
+ * 结束进程树：先优雅结束（SIGTERM，Windows 为 taskkill /T），超时后强制结束（SIGKILL，Windows 为 taskkill /T /F）
+ * 后代进程在发送信号前获取，父进程先退出时也不会遗漏
+ * @param pid
+ * @param options.signal 优雅结束的信号，默认 SIGTERM
+ * @param options.timeout 等待优雅结束的毫秒数，默认 5000
+ * @param options.interval 检查间隔毫秒数，默认 100
+ * @returns {Promise<{ pids, forced }>} pids 为结束的进程，forced 为是否强制结束；强制结束后仍存在时 reject
+ */
+async function killTree (pid, options = {}) {
+  const { signal: sig = 'SIGTERM', timeout = 5000, interval = 100 } = options;
+  pid = Number(pid);
+  if (!isAlive(pid)) {
+    return { pids: [], forced: false };
+  }
+  const pids = [pid].concat((await children(pid)).map((item) => item.pid));
 
-  return formatedData;
+  if (IS_WIN) {
+    // 没有窗口的进程不响应 taskkill 的关闭请求，忽略错误，超时后强制结束
+    await exec('taskkill', ['/PID', String(pid), '/T']).catch(() => {});
+  } else {
+    pids.forEach((item) => signal(item, sig));
+  }
+  let alive = await waitExit(pids, timeout, interval);
+  if (alive.length === 0) {
+    return { pids, forced: false };
+  }
+
+  if (IS_WIN) {
+    await Promise.all(alive.map((item) => exec('taskkill', ['/PID', String(item), '/T', '/F']).catch(() => {})));
+  } else {
+    alive.forEach((item) => signal(item, 'SIGKILL'));
+  }
+  alive = await waitExit(alive, 2000, interval);
+  if (alive.length > 0) {
+    throw new Error(`process ${alive.join(', ')} still alive after SIGKILL`);
+  }
+  return { pids, forced: true };
 }
+
+module.exports = {
+  parsePs,
+  parseCimProcess,
+  parseSs,
+  parseLsof,
+  parseNetstat,
+  parseProcState,
+  list,
+  listPorts,
+  lookup,
+  getDescendants,
+  children,
+  isAlive,
+  killTree,
+};
@@ -1,5 +1,12 @@
+const { app: electronApp, session, webContents, shell } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
 const Log = require('ee-core/log');
 const EE = require('ee-core/ee');
+const Conf = require('ee-core/config');
+const Ps = require('ee-core/ps');
+const CoreWindow = require('ee-core/electron/window');
 
 /**
  * 安全插件
@@ -8,6 +15,12 @@ const EE = require('ee-core/ee');
 class SecurityAddon {
 
   constructor() {
+    this.cfg = {};
+    this.allowedOrigins = [];
+    // 启动安全报告：{ item, level, message }
+    this.report = [];
+    // 完整性清单，undefined 表示未加载
+    this.manifest = undefined;
   }
 
   /**
@@ -16,18 +29,483 @@ class SecurityAddon {
   create () {
     Log.info('[addon:security] load');
     const { CoreApp } = EE;
+    this.cfg = Conf.getValue('addons.security');
+    const hardening = this.getHardening();
+
+    // 完整性校验（后台执行，不阻塞启动）
+    this.verifyAppIntegrity().catch((err) => {
+      this.handleViolations('app', [`verify error: ${err.message}`]);
+    });
+
     const runWithDebug = process.argv.find(function(e){
       let isHasDebug = e.includes("--inspect") || e.includes("--inspect-brk") || e.includes("--remote-debugging-port");
       return isHasDebug;
     })
-  
+
     // 不允许远程调试
     if (runWithDebug) {
       Log.error('[error] Remote debugging is not allowed,  runWithDebug:', runWithDebug);
       CoreApp.appQuit();
+      return;
+    }
+    this.addReport('debug', 'ok', 'no remote debugging flags');
+
+    if (hardening.mode === 'off') {
+      return;
+    }
+
+    // 环境变量篡改
+    const tampered = this.checkEnv();
+    if (tampered && hardening.mode === 'enforce') {
+      this.printReport();
+      Log.error('[addon:security] environment tampering detected, quit');
+      CoreApp.appQuit();
+      return;
     }
+
+    this.allowedOrigins = this.getAllowedOrigins();
+    this.addReport('origins', 'ok', this.allowedOrigins.join(', '));
+
+    // 已创建的窗口（主窗口）无法修改 webPreferences，仅检查；之后创建的 webContents 由 hardenContents 处理
+    this.checkWebPreferences('main', CoreWindow.getMainWindow().webContents);
+
+    if (hardening.mode === 'enforce') {
+      this.enforce();
+    }
+
+    this.printReport();
+  }
+
+  /**
+   * 加固配置
+   */
+  getHardening () {
+    return Object.assign({
+      mode: 'off',
+      webPreferences: {},
+      allowedOrigins: [],
+      permissions: [],
+      csp: '',
+      openExternal: false,
+    }, this.cfg.hardening);
+  }
+
+  /**
+   * 强制执行：导航/新窗口白名单、权限默认拒绝、CSP
+   */
+  enforce () {
+    const hardening = this.getHardening();
+
+    webContents.getAllWebContents().forEach((contents) => {
+      this.hardenContents(contents);
+    });
+    electronApp.on('web-contents-created', (event, contents) => {
+      this.hardenContents(contents);
+    });
+
+    // 权限请求默认拒绝，仅允许白名单来源申请配置的权限
+    const ses = session.defaultSession;
+    ses.setPermissionRequestHandler((contents, permission, callback, details) => {
+      const allowed = hardening.permissions.includes(permission) && this.isAllowedUrl(details.requestingUrl);
+      if (!allowed) {
+        Log.warn('[addon:security] permission denied: %s, url: %s', permission, details.requestingUrl);
+      }
+      callback(allowed);
+    });
+    ses.setPermissionCheckHandler((contents, permission, requestingOrigin) => {
+      return hardening.permissions.includes(permission) && this.isAllowedUrl(requestingOrigin);
+    });
+    this.addReport('permissions', 'ok', `deny by default, allow: ${hardening.permissions.join(', ') || 'none'}`);
+
+    // CSP：http(s) 页面通过响应头注入
+    if (hardening.csp) {
+      ses.webRequest.onHeadersReceived((details, callback) => {
+        const responseHeaders = Object.assign({}, details.responseHeaders);
+        if (details.resourceType === 'mainFrame' || details.resourceType === 'subFrame') {
+          Object.keys(responseHeaders).forEach((key) => {
+            if (key.toLowerCase() === 'content-security-policy') delete responseHeaders[key];
+          });
+          responseHeaders['Content-Security-Policy'] = [hardening.csp];
+        }
+        callback({ responseHeaders });
+      });
+      this.addReport('csp', 'ok', hardening.csp);
+    } else {
+      this.addReport('csp', 'warn', 'no content security policy configured');
+    }
+  }
+
+  /**
+   * 加固单个 webContents
+   */
+  hardenContents (contents) {
+    const hardening = this.getHardening();
+
+    // 禁止导航到未知来源
+    contents.on('will-navigate', (event, url) => {
+      if (!this.isAllowedUrl(url)) {
+        event.preventDefault();
+        Log.warn('[addon:security] navigation blocked: ', url);
+        this.openExternal(url);
+      }
+    });
+
+    // 新窗口（window.open、target=_blank，替代已废弃的 new-window 事件）
+    contents.setWindowOpenHandler(({ url }) => {
+      if (!this.isAllowedUrl(url)) {
+        Log.warn('[addon:security] new window blocked: ', url);
+        this.openExternal(url);
+        return { action: 'deny' };
+      }
+      return {
+        action: 'allow',
+        overrideBrowserWindowOptions: {
+          webPreferences: Object.assign({}, hardening.webPreferences)
+        }
+      };
+    });
+
+    // webview 强制使用安全基线，且不允许自定义 preload
+    contents.on('will-attach-webview', (event, webPreferences, params) => {
+      delete webPreferences.preload;
+      Object.assign(webPreferences, hardening.webPreferences);
+      if (!this.isAllowedUrl(params.src)) {
+        event.preventDefault();
+        Log.warn('[addon:security] webview blocked: ', params.src);
+      }
+    });
+
+    // file:// 页面没有响应头，通过 meta 标签注入 CSP
+    if (hardening.csp) {
+      contents.on('dom-ready', () => {
+        if (!contents.getURL().startsWith('file://')) {
+          return;
+        }
+        const script = `(() => {
+          if (document.querySelector('meta[http-equiv="Content-Security-Policy"]')) return;
+          const meta = document.createElement('meta');
+          meta.httpEquiv = 'Content-Security-Policy';
+          meta.content = ${JSON.stringify(hardening.csp)};
+          document.head.prepend(meta);
+        })()`;
+        contents.executeJavaScript(script).catch(() => {});
+      });
+    }
+  }
+
+  /**
+   * 外部链接使用系统浏览器打开
+   */
+  openExternal (url) {
+    if (this.getHardening().openExternal && /^https?:\/\//.test(url)) {
+      shell.openExternal(url);
+    }
+  }
+
+  /**
+   * 检查 webPreferences 是否符合安全基线
+   */
+  checkWebPreferences (name, contents) {
+    const baseline = this.getHardening().webPreferences;
+    const current = contents.getLastWebPreferences() || {};
+    let passed = true;
+    Object.keys(baseline).forEach((key) => {
+      if (current[key] !== baseline[key]) {
+        passed = false;
+        this.addReport(`webPreferences.${name}`, 'warn', `${key}=${current[key]} (expected ${baseline[key]}), change config.windowsOption`);
+      }
+    });
+    if (passed) {
+      this.addReport(`webPreferences.${name}`, 'ok', 'matches the secure baseline');
+    }
+
+    return passed;
+  }
+
+  /**
+   * 检查环境变量篡改（ELECTRON_RUN_AS_NODE、NODE_OPTIONS）
+   */
+  checkEnv () {
+    let tampered = false;
+    if (process.env.ELECTRON_RUN_AS_NODE) {
+      tampered = true;
+      this.addReport('env.ELECTRON_RUN_AS_NODE', 'error', `is set: ${process.env.ELECTRON_RUN_AS_NODE}`);
+    }
+
+    const nodeOptions = process.env.NODE_OPTIONS || '';
+    const dangerous = ['--require', '-r', '--inspect', '--inspect-brk', '--loader', '--experimental-loader', '--import'];
+    const found = nodeOptions.split(/\s+/).filter((opt) => {
+      return dangerous.some((flag) => opt === flag || opt.startsWith(flag + '='));
+    });
+    if (found.length > 0) {
+      tampered = true;
+      this.addReport('env.NODE_OPTIONS', 'error', `dangerous options: ${found.join(' ')}`);
+    }
+
+    if (!tampered) {
+      this.addReport('env', 'ok', 'no ELECTRON_RUN_AS_NODE / NODE_OPTIONS tampering');
+    }
+
+    return tampered;
+  }
+
+  /**
+   * 允许的来源：配置 + 应用自身（主进程地址、远程模式地址、开发环境前端地址）
+   */
+  getAllowedOrigins () {
+    const config = Conf.all();
+    const origins = ['file://'].concat(this.getHardening().allowedOrigins);
+
+    const mainServer = config.mainServer;
+    if (mainServer && ['http://', 'https://'].includes(mainServer.protocol)) {
+      origins.push(mainServer.protocol + mainServer.host + ':' + mainServer.port);
+    }
+    if (config.remoteUrl && config.remoteUrl.enable) {
+      origins.push(config.remoteUrl.url);
+    }
+    if (Ps.isDev()) {
+      try {
+        const binConfig = require(path.join(Ps.getHomeDir(), 'electron', 'config', 'bin.js'));
+        const frontend = binConfig.dev.frontend;
+        origins.push(frontend.protocol + frontend.hostname + ':' + frontend.port);
+      } catch (e) {
+        // ignore
+      }
+    }
+
+    return [...new Set(origins.map((item) => this.normalizeOrigin(item)))];
+  }
+
+  /**
+   * 规范化来源
+   */
+  normalizeOrigin (url) {
+    if (url.startsWith('file:')) {
+      return 'file://';
+    }
+    try {
+      return new URL(url).origin;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * 是否为允许的地址
+   */
+  isAllowedUrl (url = '') {
+    if (url === 'about:blank' || url.startsWith('devtools://')) {
+      return true;
+    }
+    return this.allowedOrigins.includes(this.normalizeOrigin(url));
+  }
+
+  /**
+   * 完整性配置
+   */
+  getIntegrity () {
+    const cfg = Conf.getValue('addons.security');
+    return Object.assign({
+      enable: false,
+      policy: 'warn',
+      manifest: '/public/integrity.json',
+    }, cfg.integrity, { enable: cfg.enable && cfg.integrity && cfg.integrity.enable });
+  }
+
+  /**
+   * 加载清单；开发环境没有清单时不校验
+   */
+  loadManifest () {
+    if (this.manifest !== undefined) {
+      return this.manifest;
+    }
+    const file = path.join(Ps.getHomeDir(), this.getIntegrity().manifest);
+    try {
+      this.manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      this.manifest = null;
+      Log.info('[addon:security] integrity manifest not found: ', file);
+    }
+    return this.manifest;
+  }
+
+  /**
+   * 清单格式是否正确：files 为 { key: sha256 }
+   */
+  isManifestValid (manifest) {
+    return !!manifest && !!manifest.files && typeof manifest.files === 'object' && !Array.isArray(manifest.files);
+  }
+
+  /**
+   * 启动时校验应用文件（public/dist、electron）
+   */
+  async verifyAppIntegrity () {
+    const integrity = this.getIntegrity();
+    if (!integrity.enable) {
+      return;
+    }
+    const manifest = this.loadManifest();
+    if (!manifest) {
+      if (Ps.isProd()) {
+        this.handleViolations('app', ['manifest missing']);
+      }
+      return;
+    }
+    if (!this.isManifestValid(manifest)) {
+      this.handleViolations('app', ['manifest malformed']);
+      return;
+    }
+
+    const violations = [];
+    for (const key of Object.keys(manifest.files)) {
+      if (!key.startsWith('app/')) continue;
+      const result = await this.verifyFile(this.resolveKey(key), manifest.files[key]);
+      if (result) violations.push(`${key}: ${result}`);
+    }
+    if (violations.length === 0) {
+      Log.info('[addon:security] app integrity ok');
+      return;
+    }
+    this.handleViolations('app', violations);
+  }
+
+  /**
+   * 校验资源（文件或目录），加载 jar、dll、扩展等资源前调用
+   * 返回 false 时调用方不应加载该资源
+   */
+  async verifyResource (resourcePath) {
+    const integrity = this.getIntegrity();
+    if (!integrity.enable) {
+      return true;
+    }
+    const manifest = this.loadManifest();
+    if (!manifest) {
+      return Ps.isProd() ? this.handleViolations(resourcePath, ['manifest missing']) : true;
+    }
+    if (!this.isManifestValid(manifest)) {
+      return this.handleViolations(resourcePath, ['manifest malformed']);
+    }
+
+    const target = path.resolve(resourcePath);
+    const expected = {};
+    Object.keys(manifest.files).forEach((key) => {
+      const filepath = this.resolveKey(key);
+      if (filepath === target || filepath.startsWith(target + path.sep)) {
+        expected[filepath] = manifest.files[key];
+      }
+    });
+
+    const violations = [];
+    if (Object.keys(expected).length === 0) {
+      violations.push('not in manifest');
+    }
+    for (const filepath of Object.keys(expected)) {
+      const result = await this.verifyFile(filepath, expected[filepath]);
+      if (result) violations.push(`${filepath}: ${result}`);
+    }
+    // 目录中多出的文件（如被植入的dll）
+    if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+      this.listFiles(target).forEach((filepath) => {
+        if (!expected.hasOwnProperty(filepath)) violations.push(`${filepath}: unexpected file`);
+      });
+    }
+
+    if (violations.length === 0) {
+      return true;
+    }
+    return this.handleViolations(resourcePath, violations);
+  }
+
+  /**
+   * 按策略处理违规：warn 记录 | block 拒绝加载 | quit 退出应用
+   * 返回是否允许继续加载
+   */
+  handleViolations (target, violations) {
+    const policy = this.getIntegrity().policy;
+    violations.forEach((item) => {
+      Log.error('[addon:security] integrity violation [%s] %s', target, item);
+    });
+
+    if (policy === 'quit') {
+      const { CoreApp } = EE;
+      Log.error('[addon:security] integrity check failed, quit');
+      CoreApp.appQuit();
+      return false;
+    }
+    return policy !== 'block';
+  }
+
+  /**
+   * 清单key转为本地路径
+   */
+  resolveKey (key) {
+    if (key.startsWith('extraResources/')) {
+      return path.join(Ps.getExtraResourcesDir(), key.slice('extraResources/'.length));
+    }
+    return path.join(Ps.getHomeDir(), key.slice('app/'.length));
+  }
+
+  /**
+   * 校验单个文件，通过返回空字符串，否则返回原因
+   */
+  verifyFile (filepath, expectedHash) {
+    return new Promise((resolve) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filepath)
+        .on('error', () => resolve('missing'))
+        .on('data', (chunk) => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex') === expectedHash ? '' : 'hash mismatch'));
+    });
+  }
+
+  /**
+   * 递归获取目录下所有文件
+   */
+  listFiles (dir) {
+    let files = [];
+    fs.readdirSync(dir).forEach((name) => {
+      const filepath = path.join(dir, name);
+      const stat = fs.lstatSync(filepath);
+      if (stat.isDirectory()) {
+        files = files.concat(this.listFiles(filepath));
+      } else if (stat.isFile()) {
+        files.push(filepath);
+      }
+    });
+    return files;
+  }
+
+  /**
+   * 添加报告项
+   */
+  addReport (item, level, message) {
+    this.report.push({ item, level, message });
+  }
+
+  /**
+   * 输出启动安全报告
+   */
+  printReport () {
+    Log.info('[addon:security] ---------- security report (mode: %s) ----------', this.getHardening().mode);
+    this.report.forEach(({ item, level, message }) => {
+      const line = `[addon:security] [${level}] ${item}: ${message}`;
+      if (level === 'error') {
+        Log.error(line);
+      } else if (level === 'warn') {
+        Log.warn(line);
+      } else {
+        Log.info(line);
+      }
+    });
+  }
+
+  /**
+   * 获取安全报告
+   */
+  getReport () {
+    return this.report;
   }
 }
 
 SecurityAddon.toString = () => '[class SecurityAddon]';
-module.exports = SecurityAddon;
\ No newline at end of file
+module.exports = SecurityAddon;
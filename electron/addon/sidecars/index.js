@@ -0,0 +1,118 @@
+const { app: electronApp } = require('electron');
+const Log = require('ee-core/log');
+const Conf = require('ee-core/config');
+const EventBus = require('../../utils/eventBus');
+const Sidecar = require('./sidecar');
+const Presets = require('./presets');
+
+/**
+ * 边车进程插件
+ * 按 addons.sidecars.list 启动、守护边车进程，状态变化发布到事件总线（主题 sidecar.status）
+ * @class
+ */
+class SidecarsAddon {
+
+  constructor() {
+    this.cfg = {};
+    // 名称 -> Sidecar
+    this.sidecars = new Map();
+  }
+
+  /**
+   * 创建（autoStart 为 true 的边车立即启动，不阻塞主窗口加载）
+   */
+  create () {
+    Log.info('[addon:sidecars] load');
+    this.cfg = Conf.getValue('addons.sidecars');
+
+    (this.cfg.list || []).forEach((item) => {
+      if (item.enable === false) {
+        return;
+      }
+      const options = item.preset ? Presets[item.preset](item) : item;
+      this.add(options);
+      if (options.autoStart !== false) {
+        this.start(options.name).catch((err) => {
+          Log.error('[addon:sidecars] start %s error:', options.name, err);
+        });
+      }
+    });
+
+    // 退出前等待所有边车进程结束
+    electronApp.on('before-quit', (event) => {
+      const running = [...this.sidecars.values()].filter((sidecar) => sidecar.isRun());
+      if (running.length === 0) {
+        return;
+      }
+      event.preventDefault();
+      Promise.all(running.map((sidecar) => sidecar.stop())).finally(() => {
+        electronApp.quit();
+      });
+    });
+  }
+
+  /**
+   * 添加边车（不启动），javaServer 等插件也可通过此方法托管进程
+   */
+  add (options) {
+    if (!options.name || this.sidecars.has(options.name)) {
+      throw new Error(`sidecar name '${options.name}' is empty or already exists`);
+    }
+    const sidecar = new Sidecar(options);
+    sidecar.on('status', (data) => {
+      EventBus.publish('sidecar.status', Object.assign({ name: sidecar.name }, data));
+    });
+    this.sidecars.set(options.name, sidecar);
+
+    return sidecar;
+  }
+
+  /**
+   * 获取边车，不存在时抛出异常
+   */
+  get (name) {
+    const sidecar = this.sidecars.get(name);
+    if (!sidecar) {
+      throw new Error(`sidecar '${name}' not exists`);
+    }
+    return sidecar;
+  }
+
+  /**
+   * 是否存在
+   */
+  has (name) {
+    return this.sidecars.has(name);
+  }
+
+  /**
+   * 所有边车的状态
+   */
+  list () {
+    return [...this.sidecars.values()].map((sidecar) => sidecar.getStatus());
+  }
+
+  /**
+   * 启动
+   */
+  async start (name) {
+    await this.get(name).start();
+  }
+
+  /**
+   * 停止
+   */
+  async stop (name) {
+    await this.get(name).stop();
+  }
+
+  /**
+   * 重启
+   */
+  async restart (name) {
+    await this.get(name).restart();
+  }
+}
+
+SidecarsAddon.toString = () => '[class SidecarsAddon]';
+module.exports = SidecarsAddon;
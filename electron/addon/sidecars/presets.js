@@ -0,0 +1,33 @@
+const path = require("path");
+const Template = require('./template');
+
+/**
+ * 边车预设：把简化的配置转换为边车配置（addons.sidecars.list 中使用 preset 字段）
+ */
+
+/**
+ * java：jar 为 extraResources 下的 jar 包，jreVersion 为 extraResources 下的 jre 目录，opt 为 jvm 参数
+ * 端口通过 EE_JAVA_PORT 传给主进程和 java 进程，jar、jre 启动前做完整性校验
+ */
+function java (options) {
+  const jrePath = path.join('${resources}', options.jreVersion);
+  const jarPath = path.join('${resources}', options.jar);
+  let cmd = path.join(jrePath, 'bin', 'java${exe}');
+  if (process.platform === 'darwin') {
+    // 如果提示：不受信任，请执行：  sudo spctl --master-disable
+    cmd = path.join(jrePath, 'Contents', 'Home', 'bin', 'java');
+  }
+
+  return Object.assign({
+    portEnv: 'EE_JAVA_PORT',
+    cwd: '${resources}',
+  }, options, {
+    cmd,
+    args: Template.splitArgs(options.opt).concat(['-jar', jarPath]),
+    verify: [jarPath, jrePath],
+  });
+}
+
+module.exports = {
+  java,
+};
@@ -0,0 +1,58 @@
+const net = require("net");
+const http = require("http");
+
+/**
+ * 就绪探测
+ * type: tcp 端口可连接 | http 请求 path 返回 2xx、3xx | none 不探测（进程启动即就绪）
+ */
+
+/**
+ * tcp 探测
+ */
+function tcp (port, host, timeout) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ port, host });
+    const done = (ok) => {
+      socket.destroy();
+      resolve(ok);
+    };
+    socket.setTimeout(timeout, () => done(false));
+    socket.once('connect', () => done(true));
+    socket.once('error', () => done(false));
+  });
+}
+
+/**
+ * http 探测
+ */
+function httpGet (url, timeout) {
+  return new Promise((resolve) => {
+    const req = http.get(url, { timeout }, (res) => {
+      res.resume();
+      resolve(res.statusCode >= 200 && res.statusCode < 400);
+    });
+    req.once('timeout', () => req.destroy());
+    req.once('error', () => resolve(false));
+  });
+}
+
+/**
+ * 按配置探测一次
+ */
+function check (probe, port) {
+  const host = probe.host || '127.0.0.1';
+  switch (probe.type) {
+    case 'none':
+      return Promise.resolve(true);
+    case 'http':
+      return httpGet(`http://${host}:${port}${probe.path || '/'}`, probe.timeout);
+    default:
+      return tcp(port, host, probe.timeout);
+  }
+}
+
+module.exports = {
+  tcp,
+  httpGet,
+  check,
+};
@@ -0,0 +1,332 @@
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { spawn } = require("child_process");
+const Log = require('ee-core/log');
+const UtilsPs = require('ee-core/ps');
+const Addon = require('ee-core/addon');
+const GetPort = require('ee-core/utils/get-port');
+const Probe = require('./probe');
+const Ps = require('../javaServer/ps');
+const Template = require('./template');
+
+/**
+ * 边车进程（java、go、python 或任意可执行文件）
+ * 直接启动子进程并守护：记录 pid，输出写入 ee 日志，异常退出后按退避时间重启，短时间内频繁崩溃时停止重启
+ * 启动后按 probe 配置探测是否就绪，状态变化触发 'status' 事件：
+ * starting 启动中 | ready 就绪 | unhealthy 启动超时或健康检查失败 | stopped 已停止
+ */
+class Sidecar extends EventEmitter {
+  constructor (options) {
+    super();
+    this.options = options;
+    this.name = options.name;
+    this.child = null;
+    this.pid = 0;
+    this.port = 0;
+    // 主动停止中，退出后不再重启
+    this.stopping = false;
+    // 崩溃时间，用于判断是否频繁崩溃
+    this.crashes = [];
+    this.restartTimer = null;
+    this.probeTimer = null;
+    this.stopPromise = null;
+    this.status = 'stopped';
+    this.startedAt = 0;
+    this.readyAt = 0;
+    // 最近的输出
+    this.logs = [];
+    this.onProcessExit = () => {
+      if (this.isRun()) {
+        this.child.kill('SIGKILL');
+      }
+    };
+  }
+
+  /**
+   * 分配端口：options.port 为首选端口，被占用时使用其它可用端口；portEnv 会写入主进程环境变量
+   */
+  async allocatePort () {
+    if (this.port || !this.options.port) {
+      return this.port;
+    }
+    this.port = await GetPort({ port: parseInt(this.options.port) });
+    if (this.options.portEnv) {
+      process.env[this.options.portEnv] = String(this.port);
+    }
+    return this.port;
+  }
+
+  /**
+   * 模板变量
+   */
+  getVars () {
+    return {
+      port: this.port,
+      path: UtilsPs.getLogDir(),
+      resources: UtilsPs.getExtraResourcesDir(),
+      exe: process.platform === 'win32' ? '.exe' : '',
+    };
+  }
+
+  /**
+   * 启动
+   */
+  async start () {
+    if (this.isRun()) {
+      return;
+    }
+    await this.allocatePort();
+    const vars = this.getVars();
+    const render = (str) => Template.render(str, vars);
+
+    // 存在性、完整性校验
+    const security = Addon.get('security');
+    for (const item of [].concat(this.options.verify || []).map(render)) {
+      if (!fs.existsSync(item)) {
+        throw new Error(`${item} does not exist`);
+      }
+      if (!(await security.verifyResource(item))) {
+        throw new Error(`${item} integrity check failed`);
+      }
+    }
+
+    const cmd = render(this.options.cmd);
+    const args = [].concat(this.options.args || []).map(render);
+    const env = Object.assign({}, process.env);
+    Object.keys(this.options.env || {}).forEach((key) => {
+      env[key] = render(String(this.options.env[key]));
+    });
+    if (this.port && this.options.portEnv) {
+      env[this.options.portEnv] = String(this.port);
+    }
+
+    Log.info("[sidecar:%s] spawn: %s %s", this.name, cmd, args.join(' '));
+    this.stopping = false;
+    const child = spawn(cmd, args, {
+      cwd: render(this.options.cwd) || path.dirname(cmd),
+      env,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      windowsHide: true,
+    });
+    this.child = child;
+    this.pid = child.pid || 0;
+
+    readline.createInterface({ input: child.stdout }).on('line', (line) => {
+      Log.info('[sidecar:%s] [stdout]', this.name, line);
+      this.addLog('stdout', line);
+    });
+    readline.createInterface({ input: child.stderr }).on('line', (line) => {
+      Log.warn('[sidecar:%s] [stderr]', this.name, line);
+      this.addLog('stderr', line);
+    });
+    child.on('error', (err) => {
+      Log.error('[sidecar:%s] process error:', this.name, err);
+      // 启动失败（如找不到可执行文件）时不会触发 exit
+      if (!child.pid && this.child === child) {
+        this.child = null;
+        this.setStatus('stopped', err.message);
+      }
+    });
+    child.on('exit', (code, signal) => {
+      this.handleExit(child, code, signal);
+    });
+
+    // 主进程意外退出时，不留下孤儿进程
+    process.removeListener('exit', this.onProcessExit);
+    process.on('exit', this.onProcessExit);
+
+    Log.info("[sidecar:%s] started, pid: %s, port: %s", this.name, this.pid, this.port);
+    this.startedAt = Date.now();
+    this.readyAt = 0;
+    this.setStatus('starting');
+    this.watch(child);
+  }
+
+  /**
+   * 就绪探测：启动中每 interval 毫秒探测一次，超过 startupTimeout 未就绪为 unhealthy；
+   * 就绪后每 healthInterval 毫秒检查一次，连续失败 failureThreshold 次为 unhealthy，恢复后重新为 ready
+   * 没有端口时不探测，启动即就绪
+   */
+  watch (child) {
+    const probe = Object.assign({
+      type: 'tcp',
+      path: '/',
+      timeout: 2000,
+      interval: 500,
+      startupTimeout: 60 * 1000,
+      healthInterval: 10 * 1000,
+      failureThreshold: 3,
+    }, this.options.probe);
+    if (!this.port) {
+      probe.type = 'none';
+    }
+    let failures = 0;
+
+    const tick = async () => {
+      const ok = await Probe.check(probe, this.port);
+      if (this.child !== child || !this.isRun()) {
+        return;
+      }
+      if (ok) {
+        failures = 0;
+        if (this.status !== 'ready') {
+          this.readyAt = Date.now();
+          this.setStatus('ready');
+        }
+      } else if (this.status === 'starting') {
+        if (Date.now() - this.startedAt > probe.startupTimeout) {
+          this.setStatus('unhealthy', `not ready after ${probe.startupTimeout}ms`);
+        }
+      } else if (this.status === 'ready' && ++failures >= probe.failureThreshold) {
+        this.setStatus('unhealthy', `health check failed ${failures} times`);
+      }
+      const interval = this.status === 'starting' ? probe.interval : probe.healthInterval;
+      this.probeTimer = setTimeout(tick, interval);
+    };
+    clearTimeout(this.probeTimer);
+    this.probeTimer = setTimeout(tick, probe.type === 'none' ? 0 : probe.interval);
+  }
+
+  /**
+   * 更新状态
+   */
+  setStatus (status, message = '') {
+    this.status = status;
+    Log.info("[sidecar:%s] status: %s %s", this.name, status, message);
+    this.emit('status', {
+      status,
+      message,
+      pid: this.pid,
+      port: this.port,
+      time: Date.now(),
+    });
+  }
+
+  /**
+   * 状态
+   */
+  getStatus () {
+    return {
+      name: this.name,
+      status: this.status,
+      pid: this.pid,
+      port: this.port,
+      startedAt: this.startedAt,
+      readyAt: this.readyAt,
+      crashes: this.crashes.length,
+    };
+  }
+
+  /**
+   * 记录输出，只保留最近 logLines 行
+   */
+  addLog (stream, line) {
+    this.logs.push({ time: Date.now(), stream, line });
+    const max = this.options.logLines || 500;
+    if (this.logs.length > max) {
+      this.logs.splice(0, this.logs.length - max);
+    }
+  }
+
+  /**
+   * 最近的输出
+   */
+  getLogs (lines = 100) {
+    return this.logs.slice(-lines);
+  }
+
+  /**
+   * 进程退出：主动停止时忽略，否则按重启策略重启
+   */
+  handleExit (child, code, signal) {
+    Log.info("[sidecar:%s] exited, pid: %s, code: %s, signal: %s", this.name, child.pid, code, signal);
+    if (this.child !== child) {
+      return;
+    }
+    clearTimeout(this.probeTimer);
+    this.child = null;
+    this.setStatus('stopped', `exit code: ${code}, signal: ${signal}`);
+    this.pid = 0;
+    if (this.stopping) {
+      return;
+    }
+
+    const restart = Object.assign({ enable: true, max: 5, window: 60000, delay: 1000, maxDelay: 30000 }, this.options.restart);
+    if (!restart.enable) {
+      return;
+    }
+
+    // 窗口期内崩溃次数超过 max 时认为进入崩溃循环，不再重启
+    const now = Date.now();
+    this.crashes = this.crashes.filter((time) => now - time < restart.window).concat(now);
+    if (this.crashes.length > restart.max) {
+      Log.error("[sidecar:%s] crashed %s times in %sms, stop restarting", this.name, this.crashes.length, restart.window);
+      return;
+    }
+
+    const delay = Math.min(restart.delay * Math.pow(2, this.crashes.length - 1), restart.maxDelay);
+    Log.warn("[sidecar:%s] restart in %sms (%s/%s)", this.name, delay, this.crashes.length, restart.max);
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      this.start().catch((err) => {
+        Log.error('[sidecar:%s] restart error:', this.name, err);
+      });
+    }, delay);
+  }
+
+  /**
+   * 停止：结束整个进程树，先 SIGTERM，超时（killTimeout）后 SIGKILL
+   */
+  async stop () {
+    this.stopping = true;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    if (!this.isRun()) {
+      return;
+    }
+
+    // 停止中时复用同一个 Promise
+    if (this.stopPromise) {
+      return this.stopPromise;
+    }
+    const child = this.child;
+    const timeout = this.options.killTimeout || 5000;
+    const exited = new Promise((resolve) => child.once('exit', resolve));
+    this.stopPromise = Ps.killTree(child.pid, { timeout })
+      .then((result) => {
+        if (result.forced) {
+          Log.warn("[sidecar:%s] SIGTERM timeout after %sms, SIGKILL pid: %s", this.name, timeout, result.pids.join(', '));
+        }
+      })
+      .catch((err) => {
+        Log.error('[sidecar:%s] kill tree error:', this.name, err);
+        child.kill('SIGKILL');
+      })
+      .then(() => exited);
+    await this.stopPromise;
+    this.stopPromise = null;
+    process.removeListener('exit', this.onProcessExit);
+    Log.info("[sidecar:%s] stopped, pid: %s", this.name, child.pid);
+  }
+
+  /**
+   * 重启（手动重启时清空崩溃记录）
+   */
+  async restart () {
+    await this.stop();
+    this.crashes = [];
+    await this.start();
+  }
+
+  /**
+   * 是否运行中
+   */
+  isRun () {
+    return !!this.child && this.child.exitCode === null && this.child.signalCode === null;
+  }
+}
+
+Sidecar.toString = () => '[class Sidecar]';
+module.exports = Sidecar;
@@ -0,0 +1,45 @@
+/**
+ * 配置模板
+ * ${port} 分配的端口 | ${path} 日志目录 | ${resources} extraResources 目录 | ${exe} windows 下为 .exe，其它平台为空
+ */
+
+/**
+ * 替换模板变量，未知变量保持原样
+ */
+function render (str, vars) {
+  if (typeof str !== 'string') {
+    return str;
+  }
+  return str.replace(/\$\{(\w+)\}/g, (match, key) => {
+    return vars.hasOwnProperty(key) ? String(vars[key]) : match;
+  });
+}
+
+/**
+ * 拆分命令行参数，支持双引号、单引号
+ */
+function splitArgs (str) {
+  const args = [];
+  const re = /"([^"]*)"|'([^']*)'|([^\s"']+)/g;
+  let current = null;
+  let lastIndex = -1;
+  let match;
+  while ((match = re.exec(str || '')) !== null) {
+    const value = match[1] !== undefined ? match[1] : (match[2] !== undefined ? match[2] : match[3]);
+    // 紧挨着的片段属于同一个参数，如 -Dlogging.file.path="a b"
+    if (current !== null && match.index === lastIndex) {
+      current += value;
+      args[args.length - 1] = current;
+    } else {
+      current = value;
+      args.push(current);
+    }
+    lastIndex = re.lastIndex;
+  }
+  return args;
+}
+
+module.exports = {
+  render,
+  splitArgs,
+};
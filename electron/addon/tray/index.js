@@ -1,11 +1,15 @@
-const { Tray, Menu } = require('electron');
+const { Tray, Menu, Notification, dialog, app: electronApp } = require('electron');
 const path = require('path');
+const os = require('os');
+const _ = require('lodash');
 const Ps = require('ee-core/ps');
 const Log = require('ee-core/log');
 const Electron = require('ee-core/electron');
 const CoreWindow = require('ee-core/electron/window');
 const Conf = require('ee-core/config');
 const EE = require('ee-core/ee');
+const is = require('ee-core/utils/is');
+const Storage = require('ee-core/storage');
 
 /**
  * 托盘插件
@@ -15,55 +19,349 @@ class TrayAddon {
 
   constructor() {
     this.tray = null;
+    this.cfg = {};
+    this.menuTemplate = [];
+    this.db = null;
+    this.listened = false;
   }
 
   /**
-   * 创建托盘
+   * 创建托盘（重复调用时先销毁旧托盘）
    */
   create () {
-    // 开发环境，代码热更新开启时，会导致托盘中有残影
-    if (Ps.isDev() && Ps.isHotReload()) return;
-    
     Log.info('[addon:tray] load');
-    const { CoreApp } = EE;
     const cfg = Conf.getValue('addons.tray');
-    const mainWindow = CoreWindow.getMainWindow();
+    this.cfg = cfg;
+    this.db = Storage.connection('tray');
 
-    // 托盘图标
-    let iconPath = path.join(Ps.getHomeDir(), cfg.icon);
-  
-    // 托盘菜单功能列表
-    let trayMenuTemplate = [
-      {
-        label: '显示',
-        click: function () {
-          mainWindow.show();
-        }
-      },
-      {
-        label: '退出',
-        click: function () {
-          CoreApp.appQuit();
-        }
-      }
-    ]
-  
-    // 点击关闭，最小化到托盘
+    // 托盘菜单（配置可声明普通项、分隔线、复选框、子菜单）
+    this.menuTemplate = _.cloneDeep(cfg.menu || []);
+
+    this.destroy();
+    this.tray = new Tray(path.join(Ps.getHomeDir(), cfg.icon));
+    this.tray.setToolTip(cfg.title);
+    this.buildMenu();
+
+    // 单击、双击
+    this.tray.on('click', () => {
+      this.runClickAction(cfg.clickAction);
+    });
+    this.tray.on('double-click', () => {
+      this.runClickAction(cfg.doubleClickAction);
+    });
+
+    if (this.listened) {
+      return;
+    }
+    this.listened = true;
+
+    // 点击关闭按钮
+    const mainWindow = CoreWindow.getMainWindow();
     mainWindow.on('close', (event) => {
       if (Electron.extra.closeWindow == true) {
         return;
       }
-      mainWindow.hide();
-      event.preventDefault();
+      this.handleClose(event);
     });
-    
-    // 实例化托盘
-    this.tray = new Tray(iconPath);
-    this.tray.setToolTip(cfg.title);
-    const contextMenu = Menu.buildFromTemplate(trayMenuTemplate);
+
+    // 退出前销毁托盘；开发环境热更新时进程被信号结束，也先销毁，避免托盘中有残影
+    electronApp.on('will-quit', () => {
+      this.destroy();
+    });
+    if (Ps.isDev() && Ps.isHotReload()) {
+      ['SIGINT', 'SIGTERM', 'SIGUSR2'].forEach((signal) => {
+        // 存在其它监听时重新发送信号不会结束进程，直接按惯例退出码（128 + 信号值）退出
+        process.once(signal, () => {
+          this.destroy();
+          process.exit(128 + os.constants.signals[signal]);
+        });
+      });
+    }
+  }
+
+  /**
+   * 销毁托盘
+   */
+  destroy () {
+    if (this.tray && !this.tray.isDestroyed()) {
+      this.tray.destroy();
+    }
+    this.tray = null;
+  }
+
+  /**
+   * 关闭主窗口时的行为：hide 隐藏到托盘 | minimize 最小化 | quit 退出 | ask 询问
+   */
+  async handleClose (event) {
+    event.preventDefault();
+    let behavior = this.cfg.closeBehavior || 'hide';
+    if (behavior === 'ask') {
+      behavior = this.db.getItem('closeBehavior') || await this.askCloseBehavior();
+    }
+
+    const mainWindow = CoreWindow.getMainWindow();
+    switch (behavior) {
+      case 'hide':
+        mainWindow.hide();
+        this.notifyHidden();
+        break;
+      case 'minimize':
+        mainWindow.minimize();
+        break;
+      case 'quit':
+        this.quit();
+        break;
+      default:
+        // 取消
+    }
+  }
+
+  /**
+   * 询问关闭行为，勾选"记住选择"后不再询问
+   */
+  async askCloseBehavior () {
+    const mainWindow = CoreWindow.getMainWindow();
+    const behaviors = ['hide', 'quit', 'cancel'];
+    const { response, checkboxChecked } = await dialog.showMessageBox(mainWindow, {
+      type: 'question',
+      title: this.cfg.title,
+      message: '关闭主窗口时',
+      buttons: ['最小化到托盘', '退出程序', '取消'],
+      defaultId: 0,
+      cancelId: 2,
+      checkboxLabel: '记住我的选择',
+      checkboxChecked: false,
+    });
+
+    const behavior = behaviors[response];
+    if (checkboxChecked && behavior !== 'cancel') {
+      this.db.setItem('closeBehavior', behavior);
+    }
+    return behavior;
+  }
+
+  /**
+   * 第一次隐藏到托盘时，提示程序仍在运行
+   */
+  notifyHidden () {
+    const notification = this.cfg.hideNotification || {};
+    if (!notification.enable || this.db.getItem('hideNotified')) {
+      return;
+    }
+    this.db.setItem('hideNotified', true);
+
+    if (!Notification.isSupported()) {
+      return;
+    }
+    new Notification({
+      title: notification.title || this.cfg.title,
+      body: notification.body,
+      icon: path.join(Ps.getHomeDir(), this.cfg.icon),
+    }).show();
+  }
+
+  /**
+   * 托盘点击行为：toggle 显示/隐藏主窗口 | show 显示主窗口 | menu 弹出菜单 | none
+   */
+  runClickAction (action = 'none') {
+    const mainWindow = CoreWindow.getMainWindow();
+    switch (action) {
+      case 'toggle':
+        if (mainWindow.isVisible() && !mainWindow.isMinimized()) {
+          mainWindow.hide();
+        } else {
+          this.showMainWindow();
+        }
+        break;
+      case 'show':
+        this.showMainWindow();
+        break;
+      case 'menu':
+        this.tray.popUpContextMenu();
+        break;
+      default:
+        // none
+    }
+  }
+
+  /**
+   * 根据模板重建菜单
+   */
+  buildMenu () {
+    if (!this.tray) {
+      return;
+    }
+    const contextMenu = Menu.buildFromTemplate(this.toElectronTemplate(this.menuTemplate));
     this.tray.setContextMenu(contextMenu);
   }
+
+  /**
+   * 配置项转为 electron 菜单模板
+   * item: { id, label, type, checked, enabled, visible, action, channel, submenu }
+   */
+  toElectronTemplate (items) {
+    return items.map((item) => {
+      const menuItem = _.pick(item, ['id', 'label', 'type', 'checked', 'enabled', 'visible', 'accelerator']);
+      if (Array.isArray(item.submenu)) {
+        menuItem.type = 'submenu';
+        menuItem.submenu = this.toElectronTemplate(item.submenu);
+        return menuItem;
+      }
+      if (item.type === 'separator') {
+        return menuItem;
+      }
+      menuItem.click = (electronMenuItem) => {
+        // 同步复选框状态
+        if (item.type === 'checkbox' || item.type === 'radio') {
+          item.checked = electronMenuItem.checked;
+        }
+        this.handleClick(item);
+      };
+      return menuItem;
+    });
+  }
+
+  /**
+   * 菜单点击：调用控制器/插件方法，或通知渲染进程
+   */
+  async handleClick (item) {
+    const args = { id: item.id, checked: item.checked };
+
+    if (item.channel) {
+      const mainWindow = CoreWindow.getMainWindow();
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send(item.channel, args);
+      }
+    }
+
+    if (item.action) {
+      try {
+        const fn = this.findFn(item.action);
+        await fn(args);
+      } catch (err) {
+        Log.error('[addon:tray] menu action error, action:%s, error:', item.action, err);
+      }
+    }
+  }
+
+  /**
+   * 查找函数，如：controller.example.test、addon.tray.showMainWindow
+   * 控制器方法以 app 为 this 调用，其它方法绑定到所属对象
+   */
+  findFn (cmd) {
+    const { CoreApp } = EE;
+    let obj = CoreApp;
+    const actions = cmd.split('.');
+    const name = actions.pop();
+    actions.forEach(key => {
+      obj = obj[key];
+      if (!obj) throw new Error(`class or function '${key}' not exists`);
+    });
+    if (typeof obj[name] !== 'function') {
+      throw new Error(`'${cmd}' is not a function`);
+    }
+
+    const ctx = actions[0] === 'controller' ? CoreApp : obj;
+    return obj[name].bind(ctx);
+  }
+
+  /**
+   * 显示主窗口
+   */
+  showMainWindow () {
+    CoreWindow.restoreMainWindow();
+  }
+
+  /**
+   * 退出应用
+   */
+  quit () {
+    const { CoreApp } = EE;
+    CoreApp.appQuit();
+  }
+
+  /**
+   * 更新菜单项（label、enabled、checked、visible）
+   */
+  updateItem (id, props = {}) {
+    const item = this.findItem(this.menuTemplate, id);
+    if (!item) {
+      return false;
+    }
+    Object.assign(item, _.pick(props, ['label', 'enabled', 'checked', 'visible']));
+    this.buildMenu();
+
+    return true;
+  }
+
+  /**
+   * 按id查找菜单项（含子菜单）
+   */
+  findItem (items, id) {
+    for (const item of items) {
+      if (item.id === id) {
+        return item;
+      }
+      if (Array.isArray(item.submenu)) {
+        const found = this.findItem(item.submenu, id);
+        if (found) return found;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 设置提示文字
+   */
+  setToolTip (text = '') {
+    if (!this.tray) {
+      return false;
+    }
+    this.tray.setToolTip(text);
+    return true;
+  }
+
+  /**
+   * 设置图标（相对于项目根目录，如：/public/images/tray.png）
+   */
+  setIcon (icon) {
+    if (!this.tray) {
+      return false;
+    }
+    const homeDir = Ps.getHomeDir();
+    const iconPath = path.join(homeDir, icon);
+    // 不允许项目根目录之外的文件（含同名前缀的兄弟目录）
+    const relative = path.relative(homeDir, iconPath);
+    if (!relative || relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative)) {
+      return false;
+    }
+    this.tray.setImage(iconPath);
+    return true;
+  }
+
+  /**
+   * 设置角标文字
+   * macOS 显示在托盘图标旁；数字同时设置应用角标（macOS dock、linux unity）
+   */
+  setBadge (text = '') {
+    if (!this.tray) {
+      return false;
+    }
+    if (is.macOS()) {
+      this.tray.setTitle(String(text));
+    }
+    const count = parseInt(text, 10);
+    electronApp.setBadgeCount(isNaN(count) ? 0 : count);
+    return true;
+  }
+
+  /**
+   * 获取当前菜单
+   */
+  getMenu () {
+    return this.menuTemplate;
+  }
 }
 
 TrayAddon.toString = () => '[class TrayAddon]';
-module.exports = TrayAddon;
\ No newline at end of file
+module.exports = TrayAddon;
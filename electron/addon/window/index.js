@@ -0,0 +1,271 @@
+const { BrowserWindow, webContents } = require('electron');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const _ = require('lodash');
+const Log = require('ee-core/log');
+const Conf = require('ee-core/config');
+const Ps = require('ee-core/ps');
+const CoreWindow = require('ee-core/electron/window');
+const WindowState = require('../../utils/windowState');
+
+/**
+ * 窗口插件
+ * 按 addons.window.presets 创建命名窗口，同名窗口只有一个实例；主窗口名称为 main
+ * 窗口状态按名称保存（见 utils/windowState.js）
+ * @class
+ */
+class WindowAddon {
+
+  constructor() {
+    this.cfg = {};
+    // 名称 -> BrowserWindow
+    this.windows = new Map();
+    this.channelName = 'app.window.message';
+  }
+
+  /**
+   * 初始化（preload 中调用），注册主窗口
+   */
+  init () {
+    Log.info('[addon:window] load');
+    this.cfg = Conf.getValue('addons.window');
+
+    const mainWindow = CoreWindow.getMainWindow();
+    this.windows.set('main', mainWindow);
+  }
+
+  /**
+   * 创建窗口并按名称注册（兼容 ee-core 的窗口插件，默认配置与其相同）
+   * 新代码请使用预设窗口 open()
+   * @returns {BrowserWindow}
+   */
+  create (name, opt) {
+    const options = Object.assign({
+      x: 10,
+      y: 10,
+      width: 980,
+      height: 650,
+      webPreferences: {
+        contextIsolation: false,
+        nodeIntegration: true,
+      },
+    }, opt);
+    const win = new BrowserWindow(options);
+    this.windows.set(name, win);
+    win.on('closed', () => {
+      if (this.windows.get(name) === win) {
+        this.windows.delete(name);
+      }
+    });
+
+    return win;
+  }
+
+  /**
+   * 获取预设
+   */
+  getPreset (name) {
+    const presets = this.cfg.presets || {};
+    return presets.hasOwnProperty(name) ? presets[name] : null;
+  }
+
+  /**
+   * 获取窗口，不存在或已销毁时为 null
+   */
+  get (name) {
+    const win = this.windows.get(name);
+    if (!win || win.isDestroyed()) {
+      return null;
+    }
+    return win;
+  }
+
+  /**
+   * 根据 webContents 获取窗口名称
+   */
+  getName (contents) {
+    for (const [name, win] of this.windows) {
+      if (!win.isDestroyed() && win.webContents === contents) {
+        return name;
+      }
+    }
+    return '';
+  }
+
+  /**
+   * 打开预设窗口；已打开时聚焦，route 不同时跳转
+   * @param name 预设名称
+   * @param route 覆盖预设的 vue 路由，如 '#/example?id=1'
+   * @returns {{ name, id, created }}
+   */
+  open (name, route) {
+    const preset = this.getPreset(name);
+    if (!preset) {
+      throw new Error(`window preset '${name}' not exists`);
+    }
+    const url = this.getUrl(preset, route);
+
+    let win = this.get(name);
+    if (win) {
+      if (route && win.webContents.getURL() !== url) {
+        win.loadURL(url);
+      }
+      this.focus(name);
+      return { name, id: win.id, created: false };
+    }
+
+    // 继承主窗口的配置（preload、安全选项等），加载完成后再显示
+    const options = _.merge({}, Conf.getValue('windowsOption'), preset.windowOptions || {}, WindowState.getBounds(name), { show: false });
+    win = new BrowserWindow(options);
+    this.windows.set(name, win);
+    WindowState.manage(win, name);
+
+    win.once('ready-to-show', () => {
+      win.show();
+    });
+    win.on('closed', () => {
+      if (this.windows.get(name) === win) {
+        this.windows.delete(name);
+      }
+    });
+    win.loadURL(url).catch((err) => {
+      Log.error('[addon:window] load url error, name: %s, url: %s, error: ', name, url, err);
+    });
+    Log.info('[addon:window] open: %s, url: %s', name, url);
+
+    return { name, id: win.id, created: true };
+  }
+
+  /**
+   * 预设的地址
+   * type: vue 前端路由（content 如 '#/example'）| html 本地文件（content 相对于项目根目录）| web 远程地址
+   */
+  getUrl (preset, route) {
+    switch (preset.type) {
+      case 'html':
+        return pathToFileURL(path.join(Ps.getHomeDir(), preset.content)).href;
+      case 'web':
+        return preset.content;
+      case 'vue':
+        return this.getFrontendUrl() + (route || preset.content || '');
+      default:
+        throw new Error(`window type '${preset.type}' not supported`);
+    }
+  }
+
+  /**
+   * 前端首页地址（不含 hash）
+   */
+  getFrontendUrl () {
+    if (Ps.isDev()) {
+      const binConfig = require(path.join(Ps.getHomeDir(), 'electron', 'config', 'bin.js'));
+      const frontend = binConfig.dev.frontend;
+      return frontend.protocol + frontend.hostname + ':' + frontend.port + '/';
+    }
+    const config = Conf.all();
+    if (config.remoteUrl && config.remoteUrl.enable) {
+      return config.remoteUrl.url;
+    }
+    const mainServer = config.mainServer;
+    if (Conf.isFileProtocol(mainServer)) {
+      return pathToFileURL(path.join(Ps.getHomeDir(), mainServer.indexPath)).href;
+    }
+    return mainServer.protocol + mainServer.host + ':' + mainServer.port + '/';
+  }
+
+  /**
+   * 聚焦
+   */
+  focus (name) {
+    const win = this.get(name);
+    if (!win) {
+      return false;
+    }
+    if (win.isMinimized()) {
+      win.restore();
+    }
+    win.show();
+    win.focus();
+    return true;
+  }
+
+  /**
+   * 关闭（主窗口不能通过此方法关闭）
+   */
+  close (name) {
+    const win = this.get(name);
+    if (!win || name === 'main') {
+      return false;
+    }
+    win.close();
+    return true;
+  }
+
+  /**
+   * 已打开的窗口
+   */
+  list () {
+    const result = [];
+    for (const [name, win] of this.windows) {
+      if (win.isDestroyed()) {
+        continue;
+      }
+      result.push({
+        name,
+        id: win.id,
+        title: win.getTitle(),
+        visible: win.isVisible(),
+        focused: win.isFocused(),
+      });
+    }
+    return result;
+  }
+
+  /**
+   * 向窗口发消息，渲染进程通过 'app.window.message' 接收 { from, data }
+   */
+  sendTo (name, data, from = '') {
+    const win = this.get(name);
+    if (!win) {
+      return false;
+    }
+    win.webContents.send(this.channelName, { from, data });
+    return true;
+  }
+
+  /**
+   * 获取窗口Contents id（兼容 ee-core 的窗口插件）
+   */
+  getWCid (name) {
+    const win = this.get(name);
+    return win ? win.webContents.id : null;
+  }
+
+  /**
+   * 获取主窗口Contents id
+   */
+  getMWCid () {
+    return this.getWCid('main');
+  }
+
+  /**
+   * 注册窗口Contents id（ee-core 加载插件后会注册主窗口）
+   */
+  registerWCid (name, id) {
+    const contents = webContents.fromId(id);
+    const win = contents ? BrowserWindow.fromWebContents(contents) : null;
+    if (win) {
+      this.windows.set(name, win);
+    }
+  }
+
+  /**
+   * 移除窗口
+   */
+  removeWCid (name) {
+    this.windows.delete(name);
+  }
+}
+
+WindowAddon.toString = () => '[class WindowAddon]';
+module.exports = WindowAddon;
@@ -29,16 +29,25 @@ module.exports = (appInfo) => {
     minWidth: 400,
     minHeight: 300,
     webPreferences: {
-      webSecurity: false,
-      contextIsolation: false, // false -> 可在渲染进程中使用electron的api，true->需要bridge.js(contextBridge)
-      nodeIntegration: true,
-      //preload: path.join(appInfo.baseDir, 'preload', 'bridge.js'),
+      webSecurity: true, // 与 addons.security.hardening.webPreferences 基线一致，跨域请求应由主进程或服务端（CORS）处理
+      contextIsolation: true, // true -> 渲染进程通过 bridge.js(contextBridge) 调用主进程，仅开放白名单中的通道
+      nodeIntegration: false,
+      preload: path.join(appInfo.baseDir, 'preload', 'bridge.js'),
     },
     frame: true,
     show: false,
     icon: path.join(appInfo.home, 'public', 'images', 'logo-32.png'),
   };
 
+  /**
+   * 窗口状态：记住各窗口（按名称，主窗口为 main）的位置、大小、最大化、全屏，下次启动时恢复
+   * delay 移动、缩放后延迟保存的时间（毫秒）
+   */
+  config.windowState = {
+    enable: true,
+    delay: 500,
+  };
+
   /**
    * ee框架日志
    */  
@@ -141,25 +150,152 @@ module.exports = (appInfo) => {
     messageLog: true
   };  
 
+  /**
+   * 控制器中间件，按顺序执行，ipc、httpServer、socketServer 调用均生效
+   * 名称为 electron/middleware 下的文件名，同名配置项为其参数（enable、match、ignore 为通用参数）
+   */
+  config.middleware = ['timing', 'senderOrigin', 'rateLimit', 'validate'];
+
+  /**
+   * 耗时日志（精度见 logger.enablePerformanceTimer），超过 slowThreshold 毫秒记录为 warn
+   */
+  config.timing = {
+    enable: true,
+    slowThreshold: 3000,
+  };
+
+  /**
+   * 调用来源校验：ipc 的 senderFrame、http 的 Origin 须为应用自身的来源或 allowedOrigins
+   */
+  config.senderOrigin = {
+    enable: true,
+    allowedOrigins: [],
+  };
+
+  /**
+   * 限流：每个调用方（窗口、http 客户端 ip、socket 连接）对每个通道在 window 毫秒内最多调用 max 次，channels 可单独配置
+   */
+  config.rateLimit = {
+    enable: true,
+    window: 1000,
+    max: 50,
+    channels: {
+      'controller.updater.check': { window: 10 * 1000, max: 3 },
+    },
+  };
+
+  /**
+   * 参数校验：各控制器方法的 JSON Schema 声明在 electron/schema 下（同时用于生成前端类型和 OpenAPI 文档）
+   * schemas 可按通道覆盖，如 { 'controller.example.test': { type: 'object' } }
+   */
+  config.validate = {
+    enable: true,
+    schemas: {},
+  };
+
   /**
    * 插件功能
    */
   config.addons = {
     window: {
       enable: true,
+      // 命名窗口（通过 controller.window.open 打开，同名窗口只有一个实例），位置、大小见 config.windowState
+      // type: vue 前端路由（content 如 '#/example'）| html 本地文件（content 相对于项目根目录）| web 远程地址（需加入 security 的 allowedOrigins）
+      // windowOptions 会合并到 windowsOption 之上
+      presets: {
+        example: {
+          type: 'vue',
+          content: '#/example',
+          windowOptions: { title: '示例', width: 800, height: 600 },
+        },
+        viewExample: {
+          type: 'html',
+          content: '/public/html/view_example.html',
+          windowOptions: { title: 'html示例', width: 640, height: 480 },
+        },
+      },
+    },
+    bridge: {
+      enable: true,
+      // 渲染进程可监听的通道（控制器通道会自动加入），托盘菜单配置了 channel 时也需加入
+      events: ['app.awaken', 'app.updater', 'app.window.message'],
     },
     tray: {
       enable: true,
       title: 'EE程序',
-      icon: '/public/images/tray.png'
+      icon: '/public/images/tray.png',
+      // 关闭主窗口时：hide 隐藏到托盘 | minimize 最小化 | quit 退出 | ask 询问（可记住选择）
+      closeBehavior: 'hide',
+      // 第一次隐藏到托盘时的通知
+      hideNotification: {
+        enable: true,
+        title: 'EE程序',
+        body: '程序仍在托盘中运行，点击托盘图标可重新打开'
+      },
+      // 托盘单击、双击：toggle 显示/隐藏主窗口 | show 显示主窗口 | menu 弹出菜单 | none
+      clickAction: 'toggle',
+      doubleClickAction: 'show',
+      // 托盘菜单：type 可选 normal | separator | checkbox | radio，submenu 为子菜单
+      // action 为点击时调用的方法（如 controller.example.test），参数为 { id, checked }
+      // channel 为点击时通知主窗口渲染进程的频道
+      // 前端可通过 controller.tray 动态修改菜单项、提示文字、图标、角标
+      menu: [
+        { id: 'show', label: '显示', action: 'addon.tray.showMainWindow' },
+        { type: 'separator' },
+        { id: 'quit', label: '退出', action: 'addon.tray.quit' }
+      ]
     },
     security: {
       enable: true,
+      // 运行时加固，启动时会在日志中输出安全报告
+      // mode: off 关闭 | report 仅检查并报告 | enforce 强制执行（导航/新窗口白名单、权限默认拒绝、CSP、环境变量被篡改时退出）
+      hardening: {
+        mode: 'report',
+        // 安全基线：主窗口仅检查（请同步修改 windowsOption），新窗口和 webview 强制使用
+        webPreferences: {
+          contextIsolation: true,
+          nodeIntegration: false,
+          webSecurity: true,
+          allowRunningInsecureContent: false,
+        },
+        // 允许导航的来源，应用自身的地址（file://、mainServer、remoteUrl、开发环境前端地址）会自动加入
+        allowedOrigins: [],
+        // 允许申请的权限，如 'notifications'、'clipboard-read'
+        permissions: [],
+        csp: "default-src 'self'; script-src 'self'; style-src 'self' 'unsafe-inline'; img-src 'self' data:",
+        // 被拦截的 http(s) 链接是否使用系统浏览器打开
+        openExternal: true,
+      },
+      // 完整性校验：npm run build-* 打包前会执行 npm run integrity 生成清单（SHA-256），启动时校验应用文件，
+      // 加载 jar、扩展等额外资源前校验对应文件；开发环境没有清单时跳过
+      // policy: warn 仅记录 | block 拒绝加载被篡改的资源 | quit 退出应用
+      integrity: {
+        enable: true,
+        policy: 'warn',
+        manifest: '/public/integrity.json',
+      }
     },
     awaken: {
       enable: true,
-      protocol: 'ee',
-      args: []
+      protocol: 'ee', // 需与 builder.json 中的 protocols、linux.mimeTypes 保持一致
+      args: [],
+      maxUrlLength: 2048,
+      maxParamLength: 256,
+      // 链接路由（白名单）：ee://example/test?id=5 -> controller.example.test({id: 5})
+      // host 支持 '*'，path 支持 ':name' 占位；链接同时通过 'app.awaken' 频道转发给主窗口
+      // 主窗口前端调用 ready()（frontend/src/utils/ipcRenderer.js）之前收到的链接会排队，就绪后再分发
+      // params 声明允许的参数：type(string|number|integer|boolean)、required、maxLength、pattern、enum
+      // 未匹配路由、未声明参数、校验失败的链接会记录到错误日志，不会分发
+      routes: [
+        {
+          host: 'example',
+          path: '/test',
+          action: 'controller.example.test',
+          params: {
+            id: { type: 'integer', required: false }
+          }
+        }
+      ]
     },
     autoUpdater: {
       enable: true,
@@ -171,13 +307,94 @@ module.exports = (appInfo) => {
         url: 'http://kodo.qiniu.com/'
       },
       force: false,
+      // 更新通道：stable | beta | alpha，分别读取服务器上的 latest.yml | beta.yml | alpha.yml
+      // 前端可通过 controller.updater.setChannel 切换（会持久化）
+      channel: 'stable',
+      channels: ['stable', 'beta', 'alpha'],
+      allowDowngrade: false,
+      // 版本号带预发布标识（如 3.9.0-beta.1）时，打包会生成对应通道文件（builder.json generateUpdatesFilesForAllChannels）
+      // 灰度发布：在通道文件中加入 stagingPercentage: 10，即仅约 10% 的安装（按 userData/.updaterId 分组）会收到更新
+      // 本地测试：将打包产物（out 目录）用任意静态服务器托管，如 npx http-server ./out -p 8000，url 指向 http://127.0.0.1:8000/
+      // 事件文案语言（见 addon/autoUpdater/locales.js），为空时跟随系统语言
+      // 状态事件通过 'app.updater' 频道广播给所有窗口
+      locale: '',
+      // 下载方式：differential 在 windows 上根据 blockmap 差分下载（失败自动回退完整下载）
+      // resumable 断点续传，中断后从已下载位置继续；下载完成后均按 latest.yml 中的 sha512 校验
+      // windows 上断点续传完成后同样按 publisherName 校验安装包签名
+      // 进度事件的 mode 字段为当前方式：differential | resumable | full
+      download: {
+        differential: true,
+        resumable: true
+      },
+      // 定时检查（毫秒）：interval 检查间隔，jitter 随机抖动，firstDelay 启动后最短延迟
+      // idleThreshold 大于0时，仅在用户空闲该秒数后检查；存在忙碌标记（setBusy）时推迟检查
+      // retry 检查失败时按 delay * 2^n 退避重试，最多 max 次
+      schedule: {
+        enable: false,
+        interval: 4 * 60 * 60 * 1000,
+        jitter: 10 * 60 * 1000,
+        firstDelay: 60 * 1000,
+        idleThreshold: 0,
+        retry: {
+          max: 5,
+          delay: 60 * 1000,
+          maxDelay: 60 * 60 * 1000
+        }
+      },
+    },
+    sidecars: {
+      enable: true,
+      // 边车进程（java、go、python 或 extraResources 下的任意可执行文件），由主进程启动、守护，状态通过事件总线主题 sidecar.status 推送
+      // cmd、args、cwd、env、verify 支持模板：${port} 分配的端口 | ${path} 日志目录 | ${resources} extraResources 目录 | ${exe} windows 下为 .exe
+      // port 为首选端口，被占用时自动换一个，portEnv 为写入主进程和边车进程的环境变量名
+      // verify 为启动前需存在、并做完整性校验的文件；probe、restart、killTimeout、logLines 同 javaServer
+      // preset: 'java' 时使用 jar、jreVersion、opt 代替 cmd、args（同 javaServer）
+      list: [
+        {
+          name: 'go',
+          enable: false,
+          autoStart: true,
+          cmd: '${resources}/go/goapp${exe}',
+          args: ['--port=${port}', '--log-dir=${path}'],
+          env: {},
+          port: 7073,
+          portEnv: 'EE_GO_PORT',
+          verify: ['${resources}/go/goapp${exe}'],
+          probe: { type: 'http', path: '/health' },
+          restart: { enable: true, max: 5, window: 60 * 1000, delay: 1000, maxDelay: 30 * 1000 }
+        }
+      ]
     },
     javaServer: {
       enable: false,
       port: 18080,
       jreVersion: 'jre1.8.0_201',
       opt: '-server -Xms512M -Xmx512M -Xss512k -Dspring.profiles.active=prod -Dserver.port=${port} -Dlogging.file.path="${path}" ',
-      name: 'java-app.jar'
+      name: 'java-app.jar',
+      // 就绪探测（端口为 EE_JAVA_PORT），状态通过事件总线主题 javaServer.status 推送
+      // type: tcp 端口可连接 | http 请求 path 返回 2xx、3xx（如 Spring Boot 的 /actuator/health）| none 不探测
+      // 启动中每 interval 毫秒探测一次，超过 startupTimeout 为 unhealthy；就绪后每 healthInterval 毫秒检查，连续失败 failureThreshold 次为 unhealthy
+      probe: {
+        type: 'tcp',
+        path: '/actuator/health',
+        timeout: 2000,
+        interval: 500,
+        startupTimeout: 60 * 1000,
+        healthInterval: 10 * 1000,
+        failureThreshold: 3
+      },
+      // 保留最近的输出行数（controller.javaServer.logs）
+      logLines: 500,
+      // 停止时先 SIGTERM，超过 killTimeout 毫秒仍未退出则 SIGKILL
+      killTimeout: 5000,
+      // 异常退出后重启，等待 delay 毫秒（每次翻倍，最多 maxDelay）；window 毫秒内崩溃超过 max 次时停止重启
+      restart: {
+        enable: true,
+        max: 5,
+        window: 60 * 1000,
+        delay: 1000,
+        maxDelay: 30 * 1000
+      }
     }
   };
 
@@ -3,6 +3,7 @@
 const { Controller } = require('ee-core');
 const Log = require('ee-core/log');
 const Services = require('ee-core/services');
+const Stream = require('../utils/stream');
 
 /**
  * example
@@ -23,6 +24,7 @@ class ExampleController extends Controller {
 
   /**
    * test
+   * @returns {string}
    */
   async test () {
     const result = await Services.get('example').test('electron');
@@ -30,6 +32,25 @@ class ExampleController extends Controller {
 
     return 'hello electron-egg';
   }
+
+  /**
+   * 流式处理示例：逐块返回结果并上报进度，前端可通过 signal 取消
+   * @param args 见 electron/schema/example.js
+   * @returns {null}
+   */
+  async process (args, event) {
+    const { signal, progress } = Stream.context(event);
+
+    return Services.get('example').process(args, { signal, progress });
+  }
+
+  /**
+   * 子进程任务示例，任务完成时通过事件总线主题 job.done 推送
+   * @returns {{ pid: number }}
+   */
+  async timerJob () {
+    return Services.get('example').timerJob({ from: 'controller' });
+  }
 }
 
 ExampleController.toString = () => '[class ExampleController]';
@@ -0,0 +1,59 @@
+'use strict';
+
+const { Controller } = require('ee-core');
+const Addon = require('ee-core/addon');
+const Conf = require('ee-core/config');
+const { NotFoundError } = require('../utils/errors');
+
+/**
+ * 获取插件（未启用的插件不会加载）
+ */
+function getAddon () {
+  if (!Conf.getValue('addons.javaServer').enable) {
+    throw new NotFoundError('java server is not enabled');
+  }
+  return Addon.get('javaServer');
+}
+
+/**
+ * java 服务
+ * 状态变化通过事件总线主题 javaServer.status 推送，前端可在 ready 之前显示启动页
+ * @class
+ */
+class JavaServerController extends Controller {
+
+  constructor(ctx) {
+    super(ctx);
+  }
+
+  /**
+   * 状态：starting 启动中 | ready 就绪 | unhealthy 启动超时或健康检查失败 | stopped 已停止
+   * @returns {{ status: string, pid: number, port: number, startedAt: number, readyAt: number, crashes: number }}
+   */
+  async status () {
+    return getAddon().getStatus();
+  }
+
+  /**
+   * 重启
+   * @returns {{ status: string, pid: number, port: number, startedAt: number, readyAt: number, crashes: number }}
+   */
+  async restart () {
+    const addon = getAddon();
+    await addon.restart();
+
+    return addon.getStatus();
+  }
+
+  /**
+   * 最近的输出
+   * @param args 见 electron/schema/javaServer.js
+   * @returns {Array<{ time: number, stream: string, line: string }>}
+   */
+  async logs (args) {
+    return getAddon().getLogs(args.lines || 100);
+  }
+}
+
+JavaServerController.toString = () => '[class JavaServerController]';
+module.exports = JavaServerController;
@@ -0,0 +1,88 @@
+'use strict';
+
+const { Controller } = require('ee-core');
+const Addon = require('ee-core/addon');
+const Conf = require('ee-core/config');
+const { NotFoundError } = require('../utils/errors');
+
+/**
+ * 获取边车插件，边车不存在时抛出 NotFoundError（未启用的插件不会加载）
+ */
+function getAddon (name) {
+  if (!Conf.getValue('addons.sidecars').enable) {
+    throw new NotFoundError('sidecars is not enabled');
+  }
+  const addon = Addon.get('sidecars');
+  if (name !== undefined && !addon.has(name)) {
+    throw new NotFoundError(`sidecar '${name}' not exists`);
+  }
+  return addon;
+}
+
+/**
+ * 边车进程（addons.sidecars）
+ * 状态变化通过事件总线主题 sidecar.status 推送
+ * @class
+ */
+class SidecarController extends Controller {
+
+  constructor(ctx) {
+    super(ctx);
+  }
+
+  /**
+   * 所有边车的状态
+   * @returns {Array<{ name: string, status: string, pid: number, port: number, startedAt: number, readyAt: number, crashes: number }>}
+   */
+  async list () {
+    return getAddon().list();
+  }
+
+  /**
+   * 启动
+   * @param args 见 electron/schema/sidecar.js
+   * @returns {{ name: string, status: string, pid: number, port: number, startedAt: number, readyAt: number, crashes: number }}
+   */
+  async start (args) {
+    const addon = getAddon(args.name);
+    await addon.start(args.name);
+
+    return addon.get(args.name).getStatus();
+  }
+
+  /**
+   * 停止
+   * @param args 见 electron/schema/sidecar.js
+   * @returns {{ name: string, status: string, pid: number, port: number, startedAt: number, readyAt: number, crashes: number }}
+   */
+  async stop (args) {
+    const addon = getAddon(args.name);
+    await addon.stop(args.name);
+
+    return addon.get(args.name).getStatus();
+  }
+
+  /**
+   * 重启
+   * @param args 见 electron/schema/sidecar.js
+   * @returns {{ name: string, status: string, pid: number, port: number, startedAt: number, readyAt: number, crashes: number }}
+   */
+  async restart (args) {
+    const addon = getAddon(args.name);
+    await addon.restart(args.name);
+
+    return addon.get(args.name).getStatus();
+  }
+
+  /**
+   * 最近的输出
+   * @param args 见 electron/schema/sidecar.js
+   * @returns {Array<{ time: number, stream: string, line: string }>}
+   */
+  async logs (args) {
+    return getAddon(args.name).get(args.name).getLogs(args.lines || 100);
+  }
+}
+
+SidecarController.toString = () => '[class SidecarController]';
+module.exports = SidecarController;
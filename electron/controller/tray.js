@@ -0,0 +1,70 @@
+'use strict';
+
+const { Controller } = require('ee-core');
+const Addon = require('ee-core/addon');
+
+/**
+ * 托盘
+ * @class
+ */
+class TrayController extends Controller {
+
+  constructor(ctx) {
+    super(ctx);
+  }
+
+  /**
+   * 修改菜单项
+   * @param args 见 electron/schema/tray.js
+   * @returns {{ result: boolean }}
+   */
+  async updateItem (args) {
+    const { id, ...props } = args;
+    const result = Addon.get('tray').updateItem(id, props);
+
+    return { result };
+  }
+
+  /**
+   * 设置提示文字
+   * @param args 见 electron/schema/tray.js
+   * @returns {{ result: boolean }}
+   */
+  async setToolTip (args) {
+    const result = Addon.get('tray').setToolTip(args.text);
+
+    return { result };
+  }
+
+  /**
+   * 设置图标
+   * @param args 见 electron/schema/tray.js
+   * @returns {{ result: boolean }}
+   */
+  async setIcon (args) {
+    const result = Addon.get('tray').setIcon(args.icon);
+
+    return { result };
+  }
+
+  /**
+   * 设置角标
+   * @param args 见 electron/schema/tray.js
+   * @returns {{ result: boolean }}
+   */
+  async setBadge (args) {
+    const result = Addon.get('tray').setBadge(args.text);
+
+    return { result };
+  }
+
+  /**
+   * 获取菜单
+   */
+  async getMenu () {
+    return Addon.get('tray').getMenu();
+  }
+}
+
+TrayController.toString = () => '[class TrayController]';
+module.exports = TrayController;
@@ -0,0 +1,83 @@
+'use strict';
+
+const { Controller } = require('ee-core');
+const Addon = require('ee-core/addon');
+
+/**
+ * 自动升级
+ * 状态变化通过 'app.updater' 频道推送给前端，码值见 AutoUpdaterAddon status
+ * @class
+ */
+class UpdaterController extends Controller {
+
+  constructor(ctx) {
+    super(ctx);
+  }
+
+  /**
+   * 检查更新
+   */
+  async check () {
+    const result = Addon.get('autoUpdater').checkUpdate();
+
+    return { result, ...Addon.get('autoUpdater').getStatus() };
+  }
+
+  /**
+   * 下载更新
+   */
+  async download () {
+    const result = Addon.get('autoUpdater').download();
+
+    return { result, ...Addon.get('autoUpdater').getStatus() };
+  }
+
+  /**
+   * 退出并安装
+   */
+  async install () {
+    const result = Addon.get('autoUpdater').install();
+
+    return { result, ...Addon.get('autoUpdater').getStatus() };
+  }
+
+  /**
+   * 取消下载
+   */
+  async cancel () {
+    const result = Addon.get('autoUpdater').cancel();
+
+    return { result, ...Addon.get('autoUpdater').getStatus() };
+  }
+
+  /**
+   * 切换更新通道
+   * @param args 见 electron/schema/updater.js
+   */
+  async setChannel (args) {
+    const result = Addon.get('autoUpdater').setChannel(args.channel);
+
+    return { result, ...Addon.get('autoUpdater').getStatus() };
+  }
+
+  /**
+   * 设置忙碌标记，忙碌期间跳过定时检查，如 { name: 'export', busy: true }
+   * @param args 见 electron/schema/updater.js
+   * @returns {{ busy: string[] }}
+   */
+  async setBusy (args) {
+    const busy = Addon.get('autoUpdater').setBusy(args.name, args.busy !== false);
+
+    return { busy };
+  }
+
+  /**
+   * 获取最后一次状态（窗口刷新后恢复界面）
+   */
+  async getStatus () {
+    return Addon.get('autoUpdater').getStatus();
+  }
+}
+
+UpdaterController.toString = () => '[class UpdaterController]';
+module.exports = UpdaterController;
@@ -0,0 +1,76 @@
+'use strict';
+
+const { Controller } = require('ee-core');
+const Addon = require('ee-core/addon');
+const { NotFoundError } = require('../utils/errors');
+
+/**
+ * 窗口
+ * @class
+ */
+class WindowController extends Controller {
+
+  constructor(ctx) {
+    super(ctx);
+  }
+
+  /**
+   * 打开预设窗口（addons.window.presets），已打开时聚焦
+   * @param args 见 electron/schema/window.js
+   * @returns {{ name: string, id: number, created: boolean }}
+   */
+  async open (args) {
+    const addon = Addon.get('window');
+    if (!addon.getPreset(args.name)) {
+      throw new NotFoundError(`window preset '${args.name}' not exists`);
+    }
+
+    return addon.open(args.name, args.route);
+  }
+
+  /**
+   * 聚焦窗口
+   * @param args 见 electron/schema/window.js
+   * @returns {{ result: boolean }}
+   */
+  async focus (args) {
+    const result = Addon.get('window').focus(args.name);
+
+    return { result };
+  }
+
+  /**
+   * 关闭窗口（不能关闭主窗口）
+   * @param args 见 electron/schema/window.js
+   * @returns {{ result: boolean }}
+   */
+  async close (args) {
+    const result = Addon.get('window').close(args.name);
+
+    return { result };
+  }
+
+  /**
+   * 已打开的窗口
+   * @returns {Array<{ name: string, id: number, title: string, visible: boolean, focused: boolean }>}
+   */
+  async list () {
+    return Addon.get('window').list();
+  }
+
+  /**
+   * 向窗口发消息，目标窗口通过 'app.window.message' 接收 { from, data }
+   * @param args 见 electron/schema/window.js
+   * @returns {{ result: boolean }}
+   */
+  async sendTo (args, event) {
+    const addon = Addon.get('window');
+    const from = event && event.sender ? addon.getName(event.sender) : '';
+    const result = addon.sendTo(args.name, args.data, from);
+
+    return { result };
+  }
+}
+
+WindowController.toString = () => '[class WindowController]';
+module.exports = WindowController;
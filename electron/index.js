@@ -1,4 +1,7 @@
 const { Application } = require('ee-core');
+const Socket = require('ee-core/socket');
+const Envelope = require('./utils/envelope');
+const WindowState = require('./utils/windowState');
 
 class Index extends Application {
 
@@ -12,6 +15,10 @@ class Index extends Application {
    */
   async ready () {
     // do some things
+    // 控制器执行中间件（config.middleware），统一返回 { code, data, message, traceId }
+    Envelope.wrapControllers(this);
+    // socketServer 调用按连接区分（限流等中间件使用 ctx.peer）
+    Envelope.trackSocketPeers(Socket.getSocketServer());
   }
 
   /**
@@ -26,6 +33,9 @@ class Index extends Application {
    */
   async windowReady () {
     // do some things
+    // 恢复主窗口上次的位置、大小（需在显示之前）
+    WindowState.manage(this.electron.mainWindow, 'main');
+
     // 延迟加载，无白屏
     const winOpt = this.config.windowsOption;
     if (winOpt.show == false) {
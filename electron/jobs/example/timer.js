@@ -1,6 +1,7 @@
 const Job = require('ee-core/jobs/baseJobClass');
 const Log = require('ee-core/log');
 const Ps = require('ee-core/ps');
+const EventBus = require('../../utils/eventBus');
 
 /**
  * example - TimerJob
@@ -20,6 +21,8 @@ class TimerJob extends Job {
     Log.info("[child-process] TimerJob params: ", this.params);
 
     if (Ps.isChildJob()) {
+      // 等待消息发出后再退出，否则异步的 process.send 可能丢失
+      await EventBus.publish('job.done', { name: 'timer', pid: process.pid });
       Ps.exit();
     }
   }   
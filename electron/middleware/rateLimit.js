@@ -0,0 +1,46 @@
+'use strict';
+
+const { RateLimitError } = require('../utils/errors');
+
+/**
+ * 按通道限流（固定窗口），按调用方（ctx.peer：ipc 窗口、http 客户端 ip、socket 连接）分别计数
+ * @param options.window 窗口时长（毫秒）
+ * @param options.max 窗口内最大调用次数
+ * @param options.channels 单独配置的通道，如 { 'controller.updater.check': { window: 60000, max: 5 } }
+ */
+module.exports = (options) => {
+  const counters = new Map();
+  const channels = options.channels || {};
+
+  // 清理过期的计数
+  const prune = (now) => {
+    for (const [key, counter] of counters) {
+      if (now - counter.start >= counter.window) {
+        counters.delete(key);
+      }
+    }
+  };
+
+  return async function rateLimit (ctx, next) {
+    const rule = Object.assign({ window: options.window || 1000, max: options.max || 50 }, channels[ctx.channel]);
+    const key = `${ctx.channel}:${ctx.peer}`;
+    const now = Date.now();
+
+    let counter = counters.get(key);
+    if (!counter || now - counter.start >= rule.window) {
+      if (counters.size > 1000) {
+        prune(now);
+      }
+      counter = { start: now, window: rule.window, count: 0 };
+      counters.set(key, counter);
+    }
+    counter.count++;
+    if (counter.count > rule.max) {
+      throw new RateLimitError(`too many requests, max ${rule.max} per ${rule.window}ms`, {
+        retryAfter: counter.start + rule.window - now
+      });
+    }
+
+    await next();
+  };
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+const Addon = require('ee-core/addon');
+const Log = require('ee-core/log');
+const { ForbiddenError } = require('../utils/errors');
+
+/**
+ * 调用来源校验
+ * ipc：event.senderFrame 的地址须为应用自身的来源（见 security 插件 getAllowedOrigins）或 allowedOrigins
+ * http：带有 Origin 请求头时同样校验
+ * @param options.allowedOrigins 额外允许的来源
+ */
+module.exports = (options) => {
+  let origins = null;
+  const getOrigins = () => {
+    if (!origins) {
+      const security = Addon.get('security');
+      origins = security.getAllowedOrigins()
+        .concat((options.allowedOrigins || []).map((item) => security.normalizeOrigin(item)));
+    }
+    return origins;
+  };
+
+  return async function senderOrigin (ctx, next) {
+    let url = null;
+    if (ctx.transport === 'ipc') {
+      // 页面已跳转或 frame 已销毁时为 null
+      url = ctx.event.senderFrame ? ctx.event.senderFrame.url : '';
+    } else if (ctx.transport === 'http' && ctx.request) {
+      url = ctx.request.get('origin') || null;
+    }
+
+    if (url !== null) {
+      const origin = Addon.get('security').normalizeOrigin(url);
+      if (!getOrigins().includes(origin)) {
+        Log.warn('[middleware:senderOrigin] rejected %s, origin: %s, traceId: %s', ctx.channel, url, ctx.traceId);
+        throw new ForbiddenError(`origin '${origin}' not allowed`);
+      }
+    }
+
+    await next();
+  };
+};
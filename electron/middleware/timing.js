@@ -0,0 +1,30 @@
+'use strict';
+
+const { performance } = require('perf_hooks');
+const Log = require('ee-core/log');
+
+/**
+ * 耗时日志
+ * config.logger.enablePerformanceTimer 为 true 时使用 performance.now()，精确到小数
+ * @param options.slowThreshold 超过该耗时（毫秒）时记录为 warn，0 不区分
+ */
+module.exports = (options, app) => {
+  const enablePerformanceTimer = app.config.logger && app.config.logger.enablePerformanceTimer;
+  const now = () => enablePerformanceTimer ? performance.now() : Date.now();
+
+  return async function timing (ctx, next) {
+    const start = now();
+    try {
+      await next();
+    } finally {
+      const cost = now() - start;
+      const costStr = enablePerformanceTimer ? cost.toFixed(3) : String(cost);
+      const msg = '[middleware:timing] %s %s traceId:%s %sms';
+      if (options.slowThreshold && cost >= options.slowThreshold) {
+        Log.warn(msg, ctx.transport, ctx.channel, ctx.traceId, costStr);
+      } else {
+        Log.info(msg, ctx.transport, ctx.channel, ctx.traceId, costStr);
+      }
+    }
+  };
+};
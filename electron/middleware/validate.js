@@ -0,0 +1,48 @@
+'use strict';
+
+const Validator = require('../utils/validator');
+const Schema = require('../utils/schema');
+const { ValidationError } = require('../utils/errors');
+
+// httpServer 附加在参数上的字段，未在 schema 中声明时不参与校验
+const HTTP_FIELDS = ['files', 'body', 'query'];
+
+/**
+ * 参数校验（JSON Schema 子集，见 utils/validator.js）
+ * schema 来自 electron/schema（见 utils/schema.js），options.schemas 可按通道覆盖
+ * httpServer 调用时先按 schema 转换 query 字符串的类型
+ * 校验失败返回 code 400，data.errors 为 [{ path, message }]
+ * @param options.schemas 通道 -> schema，如 { 'controller.example.test': { type: 'object' } }
+ */
+module.exports = (options, app) => {
+  const schemas = Object.assign(Schema.load(app.config.baseDir), options.schemas);
+
+  return async function validate (ctx, next) {
+    const schema = schemas[ctx.channel];
+    if (schema) {
+      let args = ctx.args;
+      let extra = {};
+      if (ctx.transport === 'http') {
+        const properties = schema.properties || {};
+        args = Object.assign({}, ctx.args);
+        HTTP_FIELDS.forEach((key) => {
+          if (!properties.hasOwnProperty(key) && args.hasOwnProperty(key)) {
+            extra[key] = args[key];
+            delete args[key];
+          }
+        });
+        args = Validator.coerce(schema, args);
+      }
+
+      const errors = Validator.validate(schema, args);
+      if (errors.length > 0) {
+        throw new ValidationError(`invalid args: ${errors[0].path} ${errors[0].message}`, { errors });
+      }
+      if (ctx.transport === 'http') {
+        ctx.args = Object.assign(args, extra);
+      }
+    }
+
+    await next();
+  };
+};
@@ -1,10 +1,142 @@
-/* 
- * 如果启用了上下文隔离，渲染进程无法使用electron的api，
- * 可通过contextBridge 导出api给渲染进程使用
+/*
+ * 启用上下文隔离后，渲染进程无法使用electron的api，
+ * 通过contextBridge 仅导出 invoke、stream、on、off、subscribe、ready，且只允许白名单中的通道（由主进程 bridge 插件根据控制器生成）
  */
 
 const { contextBridge, ipcRenderer } = require('electron')
 
+const channels = ipcRenderer.sendSync('app.bridge.channels') || { invoke: [], on: [] };
+
+// channel -> Map(listener -> wrapper)
+const listeners = new Map();
+
+// 事件总线订阅：pattern -> Set(listener)
+const subscriptions = new Map();
+
+function assertChannel (list, channel) {
+  if (!list.includes(channel)) {
+    throw new Error(`channel '${channel}' not allowed`);
+  }
+}
+
+/**
+ * 生成 traceId（与主进程的校验规则 /^[\w-]{1,64}$/ 一致）
+ */
+function createTraceId () {
+  return Date.now().toString(16) + Math.random().toString(16).slice(2, 10);
+}
+
+/**
+ * 调用主进程，返回 Promise；meta.traceId 用于关联主进程日志
+ */
+function invoke (channel, args, meta = {}) {
+  try {
+    assertChannel(channels.invoke, channel);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+  return ipcRenderer.invoke('app.bridge.invoke', channel, args, { traceId: meta && meta.traceId });
+}
+
+/**
+ * 流式调用：listener 接收 { type: 'data' | 'progress', data }
+ * 返回 { result, cancel }，result 为最终的返回结构
+ */
+function stream (channel, args, meta, listener) {
+  try {
+    assertChannel(channels.invoke, channel);
+  } catch (err) {
+    return { result: Promise.reject(err), cancel: () => {} };
+  }
+  // 推送频道、取消都依赖 traceId，调用方未提供时在此生成
+  const traceId = (meta && meta.traceId) || createTraceId();
+  const streamChannel = `app.bridge.stream.${traceId}`;
+  const wrapper = (event, message) => listener(message);
+  ipcRenderer.on(streamChannel, wrapper);
+
+  const result = ipcRenderer.invoke('app.bridge.invoke', channel, args, { traceId, stream: true })
+    .finally(() => ipcRenderer.removeListener(streamChannel, wrapper));
+
+  return {
+    result,
+    cancel: () => ipcRenderer.send('app.bridge.cancel', traceId),
+  };
+}
+
+/**
+ * 监听主进程消息，listener 不会收到 event 对象；返回取消监听的函数
+ */
+function on (channel, listener) {
+  assertChannel(channels.on, channel);
+  if (!listeners.has(channel)) {
+    listeners.set(channel, new Map());
+  }
+  const channelListeners = listeners.get(channel);
+  if (!channelListeners.has(listener)) {
+    const wrapper = (event, ...args) => listener(...args);
+    channelListeners.set(listener, wrapper);
+    ipcRenderer.on(channel, wrapper);
+  }
+
+  return () => off(channel, listener);
+}
+
+/**
+ * 取消监听；不传 listener 时取消该通道的所有监听
+ */
+function off (channel, listener) {
+  const channelListeners = listeners.get(channel);
+  if (!channelListeners) {
+    return;
+  }
+  const targets = listener ? [listener] : Array.from(channelListeners.keys());
+  targets.forEach((item) => {
+    const wrapper = channelListeners.get(item);
+    if (wrapper) {
+      ipcRenderer.removeListener(channel, wrapper);
+      channelListeners.delete(item);
+    }
+  });
+}
+
+/**
+ * 订阅事件总线的主题（支持 'updater.*'、'*'），listener 接收 (payload, topic)；返回取消订阅的函数
+ * 同一主题只向主进程订阅一次
+ */
+function subscribe (pattern, listener) {
+  if (!subscriptions.has(pattern)) {
+    if (!ipcRenderer.sendSync('app.bus.subscribe', pattern)) {
+      throw new Error(`topic '${pattern}' not allowed`);
+    }
+    subscriptions.set(pattern, new Set());
+  }
+  subscriptions.get(pattern).add(listener);
+
+  return () => {
+    const patternListeners = subscriptions.get(pattern);
+    if (!patternListeners || !patternListeners.delete(listener) || patternListeners.size > 0) {
+      return;
+    }
+    subscriptions.delete(pattern);
+    ipcRenderer.send('app.bus.unsubscribe', pattern);
+  };
+}
+
+/**
+ * 通知主进程页面已就绪（已注册监听），主进程此时才分发排队中的消息（如唤醒链接）
+ */
+function ready () {
+  ipcRenderer.send('app.bridge.ready');
+}
+
+ipcRenderer.on('app.bus.event', (event, { pattern, topic, payload }) => {
+  const patternListeners = subscriptions.get(pattern);
+  if (!patternListeners) {
+    return;
+  }
+  Array.from(patternListeners).forEach((listener) => listener(payload, topic));
+});
+
 contextBridge.exposeInMainWorld('electron', {
-  ipcRenderer: ipcRenderer,
-})
\ No newline at end of file
+  ipcRenderer: { invoke, stream, on, off, subscribe, ready },
+})
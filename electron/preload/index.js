@@ -2,6 +2,8 @@
  ** preload为预加载模块，该文件将会在程序启动时加载 **
  *************************************************/
 const Addon = require('ee-core/addon');
+const Log = require('ee-core/log');
+const Conf = require('ee-core/config');
 
 /**
 * 预加载模块入口
@@ -9,8 +11,19 @@ const Addon = require('ee-core/addon');
 module.exports = async () => {
 
   // 示例功能模块，可选择性使用和修改
+  Addon.get('bridge').create();
+  Addon.get('window').init();
   Addon.get('tray').create();
   Addon.get('security').create();
   Addon.get('awaken').create();
   Addon.get('autoUpdater').create();
+  if (Conf.getValue('addons.sidecars').enable) {
+    Addon.get('sidecars').create();
+  }
+  // java 服务（未启用的插件不会加载），不阻塞主窗口加载
+  if (Conf.getValue('addons.javaServer').enable) {
+    Addon.get('javaServer').createServer().catch((err) => {
+      Log.error('[preload] javaServer error:', err);
+    });
+  }
 }
\ No newline at end of file
@@ -0,0 +1,70 @@
+/**
+ * 事件总线主题声明，主题 -> 载荷的 JSON Schema（见 electron/utils/eventBus.js）
+ * 未声明的主题不能发布、订阅；开发环境下发布时校验载荷
+ */
+module.exports = {
+
+  // 更新状态，字段同 controller.updater.getStatus
+  'updater.status': {
+    type: 'object',
+    required: ['status', 'message'],
+    properties: {
+      status: { type: 'integer', enum: [-1, 1, 2, 3, 4], description: '-1 错误、1 有可用更新、2 无可用更新、3 下载中、4 下载完成' },
+      code: { type: 'string', description: '状态细分，如 cancelled' },
+      message: { type: 'string', description: '提示文案' },
+      version: { type: 'string' },
+      percent: { type: 'number', description: '下载进度（%）' },
+      time: { type: 'integer', description: '时间戳（毫秒）' },
+    },
+  },
+
+  // 协议唤醒，字段同 awaken 插件解析的链接信息
+  'awaken.url': {
+    type: 'object',
+    required: ['urlStr'],
+    properties: {
+      urlStr: { type: 'string' },
+      urlHost: { type: 'string' },
+      urlPath: { type: 'string' },
+      params: { type: 'object' },
+      action: { type: 'string', description: '对应的控制器通道，可为空' },
+    },
+  },
+
+  // java 服务状态（addons.javaServer），前端可在 ready 之前显示启动页
+  'javaServer.status': {
+    type: 'object',
+    required: ['status'],
+    properties: {
+      status: { type: 'string', enum: ['starting', 'ready', 'unhealthy', 'stopped'] },
+      message: { type: 'string' },
+      pid: { type: 'integer' },
+      port: { type: 'integer' },
+      time: { type: 'integer', description: '时间戳（毫秒）' },
+    },
+  },
+
+  // 边车进程状态（addons.sidecars）
+  'sidecar.status': {
+    type: 'object',
+    required: ['name', 'status'],
+    properties: {
+      name: { type: 'string' },
+      status: { type: 'string', enum: ['starting', 'ready', 'unhealthy', 'stopped'] },
+      message: { type: 'string' },
+      pid: { type: 'integer' },
+      port: { type: 'integer' },
+      time: { type: 'integer', description: '时间戳（毫秒）' },
+    },
+  },
+
+  // 子进程任务完成（示例：jobs/example/timer.js，由 service/example.js 的 timerJob 启动）
+  'job.done': {
+    type: 'object',
+    required: ['name', 'pid'],
+    properties: {
+      name: { type: 'string', description: '任务名称' },
+      pid: { type: 'integer' },
+    },
+  },
+};
@@ -0,0 +1,15 @@
+/**
+ * controller.example 参数校验（JSON Schema），方法名 -> args 的 schema
+ */
+module.exports = {
+
+  process: {
+    type: 'object',
+    required: ['count'],
+    additionalProperties: false,
+    properties: {
+      count: { type: 'integer', minimum: 1, maximum: 100, description: '数据块数量' },
+      interval: { type: 'integer', minimum: 0, maximum: 10000, default: 200, description: '每块间隔（毫秒）' },
+    },
+  },
+};
@@ -0,0 +1,13 @@
+/**
+ * controller.javaServer 参数校验（JSON Schema），方法名 -> args 的 schema
+ */
+module.exports = {
+
+  logs: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      lines: { type: 'integer', minimum: 1, maximum: 1000, description: '行数，默认 100' },
+    },
+  },
+};
@@ -0,0 +1,30 @@
+/**
+ * controller.sidecar 参数校验（JSON Schema），方法名 -> args 的 schema
+ */
+const target = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 64, description: '边车名称（addons.sidecars.list）' },
+  },
+};
+
+module.exports = {
+
+  start: target,
+
+  stop: target,
+
+  restart: target,
+
+  logs: {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 64, description: '边车名称（addons.sidecars.list）' },
+      lines: { type: 'integer', minimum: 1, maximum: 1000, description: '行数，默认 100' },
+    },
+  },
+};
@@ -0,0 +1,45 @@
+/**
+ * controller.tray 参数校验（JSON Schema），方法名 -> args 的 schema
+ */
+module.exports = {
+
+  updateItem: {
+    type: 'object',
+    required: ['id'],
+    additionalProperties: false,
+    properties: {
+      id: { type: 'string', description: '菜单项id' },
+      label: { type: 'string' },
+      enabled: { type: 'boolean' },
+      checked: { type: 'boolean' },
+      visible: { type: 'boolean' },
+    },
+  },
+
+  setToolTip: {
+    type: 'object',
+    required: ['text'],
+    additionalProperties: false,
+    properties: {
+      text: { type: 'string', maxLength: 127 },
+    },
+  },
+
+  setIcon: {
+    type: 'object',
+    required: ['icon'],
+    additionalProperties: false,
+    properties: {
+      icon: { type: 'string', pattern: '^/', description: '相对于项目根目录，如 /public/images/tray.png' },
+    },
+  },
+
+  setBadge: {
+    type: 'object',
+    required: ['text'],
+    additionalProperties: false,
+    properties: {
+      text: { type: ['string', 'integer'] },
+    },
+  },
+};
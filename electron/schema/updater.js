@@ -0,0 +1,24 @@
+/**
+ * controller.updater 参数校验（JSON Schema），方法名 -> args 的 schema
+ */
+module.exports = {
+
+  setChannel: {
+    type: 'object',
+    required: ['channel'],
+    additionalProperties: false,
+    properties: {
+      channel: { type: 'string', enum: ['stable', 'beta', 'alpha'], description: '更新通道' },
+    },
+  },
+
+  setBusy: {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 64, description: '忙碌标记名称，如 export' },
+      busy: { type: 'boolean', description: '是否忙碌，默认 true' },
+    },
+  },
+};
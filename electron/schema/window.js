@@ -0,0 +1,41 @@
+/**
+ * controller.window 参数校验（JSON Schema），方法名 -> args 的 schema
+ */
+const name = { type: 'string', pattern: '^[\\w-]{1,64}$', description: '窗口名称，主窗口为 main' };
+
+module.exports = {
+
+  open: {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', pattern: '^[\\w-]{1,64}$', description: '预设名称（addons.window.presets）' },
+      route: { type: 'string', pattern: '^#/', maxLength: 512, description: 'vue 窗口的路由，覆盖预设，如 #/example' },
+    },
+  },
+
+  focus: {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: { name },
+  },
+
+  close: {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: { name },
+  },
+
+  sendTo: {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: {
+      name,
+      data: { description: '消息内容' },
+    },
+  },
+};
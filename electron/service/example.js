@@ -1,6 +1,9 @@
 'use strict';
 
 const { Service } = require('ee-core');
+const { ChildJob } = require('ee-core/jobs');
+const Stream = require('../utils/stream');
+const EventBus = require('../utils/eventBus');
 
 /**
  * 示例服务（service层为单例）
@@ -10,6 +13,7 @@ class ExampleService extends Service {
 
   constructor(ctx) {
     super(ctx);
+    this.childJob = null;
   }
 
   /**
@@ -23,6 +27,34 @@ class ExampleService extends Service {
 
     return obj;
   }
+
+  /**
+   * 流式处理示例（异步生成器），signal 取消后停止
+   */
+  async *process(args, { signal, progress }) {
+    const total = args.count;
+    const interval = args.interval === undefined ? 200 : args.interval;
+    for (let i = 1; i <= total; i++) {
+      Stream.throwIfAborted(signal);
+      await new Promise((resolve) => setTimeout(resolve, interval));
+      progress({ current: i, total, percent: Math.round(i / total * 100) });
+      yield { index: i };
+    }
+  }
+
+  /**
+   * 子进程任务示例：在子进程中执行 jobs/example/timer.js，完成后发布 job.done
+   * ChildJob 接入事件总线，子进程的 publish/subscribe 才能到达主进程
+   */
+  timerJob(params) {
+    if (!this.childJob) {
+      this.childJob = new ChildJob();
+      EventBus.attachJob(this.childJob);
+    }
+    const proc = this.childJob.exec('./jobs/example/timer', params);
+
+    return { pid: proc.pid };
+  }
 }
 
 ExampleService.toString = () => '[class ExampleService]';
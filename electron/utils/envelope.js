@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const Log = require('ee-core/log');
+const Errors = require('./errors');
+const Middleware = require('./middleware');
+const Stream = require('./stream');
+
+const WRAPPED = Symbol('envelope');
+// socketServer 调用的连接 id（记录在参数对象上，不可枚举）
+const SOCKET_ID = Symbol('socketId');
+
+/**
+ * 生成 traceId
+ */
+function createTraceId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * 成功
+ */
+function success(data, traceId) {
+  return {
+    code: Errors.codes.OK,
+    data: data === undefined ? null : data,
+    message: 'ok',
+    traceId,
+  };
+}
+
+/**
+ * 失败
+ */
+function fail(err, traceId) {
+  return {
+    code: Errors.getCode(err),
+    data: (err && err.data !== undefined) ? err.data : null,
+    message: (err && err.message) || String(err),
+    traceId,
+  };
+}
+
+/**
+ * 调用方式：ipc 有 event；socketServer 的参数带有连接 id；httpServer 的参数带有 query、body，且 app.request 为当前请求
+ */
+function getTransport(app, args, event) {
+  if (event && event.sender) {
+    return 'ipc';
+  }
+  if (args && typeof args === 'object' && args[SOCKET_ID]) {
+    return 'socket';
+  }
+  if (app && app.request && args && typeof args === 'object' && args.hasOwnProperty('query') && args.hasOwnProperty('body')) {
+    return 'http';
+  }
+  return 'other';
+}
+
+/**
+ * 调用方标识：ipc 为 webContents id，http 为客户端 ip，socket 为连接 id
+ */
+function getPeer(transport, app, args, event) {
+  switch (transport) {
+    case 'ipc':
+      return `ipc:${event.sender.id}`;
+    case 'http':
+      return `http:${app.request.ip}`;
+    case 'socket':
+      return `socket:${args[SOCKET_ID]}`;
+    default:
+      return transport;
+  }
+}
+
+/**
+ * ee-core 的 socketServer 调用控制器时不带连接信息：
+ * 在每个连接的 socket 中间件中把连接 id 记录到参数对象上（不可枚举，不影响参数校验）
+ * 参数不是对象的调用无法区分连接，按 'other' 处理
+ */
+function trackSocketPeers(server) {
+  if (!server || !server.io) {
+    return;
+  }
+  server.io.on('connection', (socket) => {
+    socket.use((packet, next) => {
+      const message = packet[1];
+      const args = message && (message.args || message.params);
+      if (args && typeof args === 'object' && !args[SOCKET_ID]) {
+        Object.defineProperty(args, SOCKET_ID, { value: socket.id });
+      }
+      next();
+    });
+  });
+}
+
+/**
+ * 包装单个控制器方法，调用前后执行中间件
+ * ipc 调用时 traceId 由渲染进程生成（event.traceId），其它情况在主进程生成
+ */
+function wrap(fn, channel, run = Middleware.compose([])) {
+  if (fn[WRAPPED]) {
+    return fn;
+  }
+  const wrapped = async function (args, event) {
+    const transport = getTransport(this, args, event);
+    const ctx = {
+      channel,
+      args,
+      event,
+      transport,
+      peer: getPeer(transport, this, args, event),
+      request: transport === 'http' ? this.request : null,
+      traceId: (event && event.traceId) || createTraceId(),
+      app: this,
+      state: {},
+      body: undefined,
+    };
+    try {
+      await run(ctx, async () => {
+        ctx.body = await fn.call(this, ctx.args, event);
+        // 返回异步迭代器时，流式调用逐块推送，否则收集为数组
+        if (Stream.isAsyncIterable(ctx.body)) {
+          ctx.body = await Stream.drain(ctx.body, event);
+        }
+      });
+      return success(ctx.body, ctx.traceId);
+    } catch (err) {
+      const result = fail(err, ctx.traceId);
+      if (result.code >= Errors.codes.UNKNOWN) {
+        Log.error('[controller] channel:%s traceId:%s error:', channel, ctx.traceId, err);
+      } else {
+        Log.warn('[controller] channel:%s traceId:%s code:%s message:%s', channel, ctx.traceId, result.code, result.message);
+      }
+      return result;
+    }
+  };
+  wrapped[WRAPPED] = true;
+
+  return wrapped;
+}
+
+/**
+ * 包装所有控制器，执行中间件（config.middleware）并返回统一结构 { code, data, message, traceId }
+ * ipc、httpServer、socketServer 调用时才查找方法，在 ready 中替换即可全部生效
+ */
+function wrapControllers(app) {
+  const run = Middleware.compose(Middleware.load(app));
+  const walk = (obj, prefix) => {
+    Object.keys(obj).forEach((key) => {
+      const channel = `${prefix}.${key}`;
+      if (typeof obj[key] === 'function') {
+        obj[key] = wrap(obj[key], channel, run);
+      } else if (obj[key] && typeof obj[key] === 'object') {
+        walk(obj[key], channel);
+      }
+    });
+  };
+  walk(app.controller || {}, 'controller');
+}
+
+module.exports = {
+  createTraceId,
+  success,
+  fail,
+  wrap,
+  wrapControllers,
+  trackSocketPeers,
+};
@@ -0,0 +1,85 @@
+/**
+ * 错误类及错误码
+ * 控制器抛出的异常按类映射为错误码，写入返回结构 { code, data, message, traceId }
+ */
+
+/**
+ * 错误码
+ */
+const codes = {
+  OK: 0,
+  INVALID_ARGS: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  TIMEOUT: 408,
+  TOO_MANY_REQUESTS: 429,
+  CANCELLED: 499,
+  UNKNOWN: 500,
+};
+
+/**
+ * 业务异常基类，data 会原样返回给前端
+ */
+class AppError extends Error {
+  constructor(message, data = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.data = data;
+  }
+}
+
+class ValidationError extends AppError {}
+class UnauthorizedError extends AppError {}
+class ForbiddenError extends AppError {}
+class NotFoundError extends AppError {}
+class TimeoutError extends AppError {}
+class RateLimitError extends AppError {}
+class CancelledError extends AppError {}
+
+// 错误类 -> 错误码
+const registry = new Map([
+  [AppError, codes.UNKNOWN],
+  [ValidationError, codes.INVALID_ARGS],
+  [UnauthorizedError, codes.UNAUTHORIZED],
+  [ForbiddenError, codes.FORBIDDEN],
+  [NotFoundError, codes.NOT_FOUND],
+  [TimeoutError, codes.TIMEOUT],
+  [RateLimitError, codes.TOO_MANY_REQUESTS],
+  [CancelledError, codes.CANCELLED],
+]);
+
+/**
+ * 注册错误类（如业务自定义的错误），子类未注册时使用父类的错误码
+ */
+function register(ErrorClass, code) {
+  registry.set(ErrorClass, code);
+}
+
+/**
+ * 获取异常对应的错误码，未注册时为 UNKNOWN
+ */
+function getCode(err) {
+  let proto = err && typeof err === 'object' ? Object.getPrototypeOf(err) : null;
+  while (proto && proto !== Object.prototype) {
+    if (registry.has(proto.constructor)) {
+      return registry.get(proto.constructor);
+    }
+    proto = Object.getPrototypeOf(proto);
+  }
+  return codes.UNKNOWN;
+}
+
+module.exports = {
+  codes,
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  TimeoutError,
+  RateLimitError,
+  CancelledError,
+  register,
+  getCode,
+};
@@ -0,0 +1,291 @@
+const path = require('path');
+const Log = require('ee-core/log');
+const Ps = require('ee-core/ps');
+const Channel = require('ee-core/const/channel');
+const Validator = require('./validator');
+
+/**
+ * 事件总线（发布/订阅）
+ * 主题声明在 electron/schema/events.js（主题 -> 载荷的 JSON Schema），未声明的主题不能发布、订阅
+ * 订阅支持通配符：'updater.*' 匹配 'updater.status'，'*' 匹配所有主题
+ *
+ * 主进程：service、addon 直接 publish/subscribe
+ * 渲染进程：通过 preload/bridge.js 的 subscribe 订阅，窗口关闭时自动取消
+ * 子进程任务（electron/jobs）：同样引入本模块，publish/subscribe 经 ee-core 的进程消息转发；
+ * 主进程中需对创建的 ChildJob 调用 attachJob(childJob)
+ */
+
+// 进程间消息名
+const MESSAGE = {
+  publish: 'app.bus.publish',
+  subscribe: 'app.bus.subscribe',
+  unsubscribe: 'app.bus.unsubscribe',
+  event: 'app.bus.event',
+};
+
+/**
+ * 主题是否匹配
+ */
+function isMatch(pattern, topic) {
+  if (pattern === '*' || pattern === topic) {
+    return true;
+  }
+  return pattern.endsWith('.*') && topic.startsWith(pattern.slice(0, -1));
+}
+
+class EventBus {
+
+  constructor() {
+    // 本进程的订阅：pattern -> Set(handler)
+    this.handlers = new Map();
+    // 渲染进程的订阅：webContents.id -> { contents, patterns: Set }
+    this.windows = new Map();
+    // 子进程任务的订阅：pid -> { proc, patterns: Set }
+    this.jobs = new Map();
+    this.topics = null;
+    this.isChild = Ps.isForkedChild();
+
+    if (this.isChild) {
+      // 主进程转发的事件
+      process.on('message', (m) => {
+        if (m && m.channel === MESSAGE.event) {
+          this.emitLocal(m.topic, m.payload);
+        }
+      });
+    }
+  }
+
+  /**
+   * 已声明的主题
+   */
+  getTopics() {
+    if (!this.topics) {
+      try {
+        this.topics = require(path.join(__dirname, '..', 'schema', 'events'));
+      } catch (e) {
+        this.topics = {};
+      }
+    }
+    return this.topics;
+  }
+
+  /**
+   * 订阅的主题（含通配符）是否已声明
+   */
+  isDeclared(pattern) {
+    if (typeof pattern !== 'string') {
+      return false;
+    }
+    return Object.keys(this.getTopics()).some((topic) => isMatch(pattern, topic));
+  }
+
+  /**
+   * 发布
+   * 子进程中返回的 Promise 在消息发给主进程后 resolve，发布后立即退出的任务需先等待
+   */
+  publish(topic, payload = null) {
+    const schema = this.getTopics()[topic];
+    if (schema === undefined) {
+      throw new Error(`topic '${topic}' is not declared in schema/events.js`);
+    }
+    if (Ps.isDev()) {
+      const errors = Validator.validate(schema, payload, 'payload');
+      if (errors.length > 0) {
+        Log.warn('[eventBus] invalid payload, topic: %s, %s %s', topic, errors[0].path, errors[0].message);
+      }
+    }
+
+    if (this.isChild) {
+      const sent = this.sendToMain(MESSAGE.publish, { topic, payload });
+      this.emitLocal(topic, payload);
+      return sent;
+    }
+    this.dispatch(topic, payload);
+    return Promise.resolve();
+  }
+
+  /**
+   * 订阅，返回取消订阅的函数
+   */
+  subscribe(pattern, handler) {
+    if (!this.isDeclared(pattern)) {
+      throw new Error(`topic '${pattern}' is not declared in schema/events.js`);
+    }
+    if (!this.handlers.has(pattern)) {
+      this.handlers.set(pattern, new Set());
+      if (this.isChild) {
+        this.sendToMain(MESSAGE.subscribe, { pattern });
+      }
+    }
+    this.handlers.get(pattern).add(handler);
+
+    return () => this.unsubscribe(pattern, handler);
+  }
+
+  /**
+   * 订阅一次
+   */
+  once(pattern, handler) {
+    const unsubscribe = this.subscribe(pattern, (payload, topic) => {
+      unsubscribe();
+      handler(payload, topic);
+    });
+    return unsubscribe;
+  }
+
+  /**
+   * 取消订阅
+   */
+  unsubscribe(pattern, handler) {
+    const handlers = this.handlers.get(pattern);
+    if (!handlers) {
+      return;
+    }
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      this.handlers.delete(pattern);
+      if (this.isChild) {
+        this.sendToMain(MESSAGE.unsubscribe, { pattern });
+      }
+    }
+  }
+
+  /**
+   * 分发到本进程、渲染进程、子进程任务（主进程）
+   */
+  dispatch(topic, payload, fromPid) {
+    this.emitLocal(topic, payload);
+
+    for (const [id, item] of this.windows) {
+      if (item.contents.isDestroyed()) {
+        this.windows.delete(id);
+        continue;
+      }
+      item.patterns.forEach((pattern) => {
+        if (isMatch(pattern, topic)) {
+          item.contents.send(MESSAGE.event, { pattern, topic, payload });
+        }
+      });
+    }
+
+    for (const [pid, item] of this.jobs) {
+      if (pid === fromPid || !item.proc.child.connected) {
+        continue;
+      }
+      if ([...item.patterns].some((pattern) => isMatch(pattern, topic))) {
+        item.proc.child.send({ channel: MESSAGE.event, topic, payload });
+      }
+    }
+  }
+
+  /**
+   * 调用本进程的订阅者
+   */
+  emitLocal(topic, payload) {
+    for (const [pattern, handlers] of this.handlers) {
+      if (!isMatch(pattern, topic)) {
+        continue;
+      }
+      [...handlers].forEach((handler) => {
+        try {
+          handler(payload, topic);
+        } catch (err) {
+          Log.error('[eventBus] handler error, topic: %s, error:', topic, err);
+        }
+      });
+    }
+  }
+
+  /**
+   * 渲染进程订阅（bridge 插件调用），窗口关闭时自动清理
+   */
+  subscribeWindow(contents, pattern) {
+    if (!this.isDeclared(pattern)) {
+      Log.warn('[eventBus] rejected subscription: %s, url: %s', pattern, contents.getURL());
+      return false;
+    }
+    let item = this.windows.get(contents.id);
+    if (!item) {
+      item = { contents, patterns: new Set() };
+      this.windows.set(contents.id, item);
+      const id = contents.id;
+      contents.once('destroyed', () => {
+        this.windows.delete(id);
+      });
+    }
+    item.patterns.add(pattern);
+    return true;
+  }
+
+  /**
+   * 渲染进程取消订阅
+   */
+  unsubscribeWindow(contents, pattern) {
+    const item = this.windows.get(contents.id);
+    if (item) {
+      item.patterns.delete(pattern);
+    }
+  }
+
+  /**
+   * 接入子进程任务（ee-core/jobs 的 ChildJob），子进程退出时自动清理
+   */
+  attachJob(childJob) {
+    childJob.on(MESSAGE.publish, ({ pid, topic, payload }) => {
+      if (this.getTopics()[topic] === undefined) {
+        Log.warn('[eventBus] rejected job publish: %s, pid: %s', topic, pid);
+        return;
+      }
+      this.dispatch(topic, payload, pid);
+    });
+    childJob.on(MESSAGE.subscribe, ({ pid, pattern }) => {
+      const proc = childJob.jobs[pid];
+      if (!proc || !this.isDeclared(pattern)) {
+        return;
+      }
+      if (!this.jobs.has(pid)) {
+        this.jobs.set(pid, { proc, patterns: new Set() });
+      }
+      this.jobs.get(pid).patterns.add(pattern);
+    });
+    childJob.on(MESSAGE.unsubscribe, ({ pid, pattern }) => {
+      const item = this.jobs.get(pid);
+      if (item) {
+        item.patterns.delete(pattern);
+      }
+    });
+    childJob.on(Channel.events.childProcessExit, ({ pid }) => {
+      this.jobs.delete(pid);
+    });
+    childJob.on(Channel.events.childProcessError, ({ pid }) => {
+      this.jobs.delete(pid);
+    });
+  }
+
+  /**
+   * 子进程向主进程发消息，附带 pid 用于识别任务
+   * 消息格式同 ee-core 的 childMessage.sendToMain，另外在发送完成后 resolve
+   */
+  sendToMain(event, data) {
+    if (!process.send) {
+      return Promise.resolve();
+    }
+    const message = {
+      channel: Channel.process.sendToMain,
+      eventReceiver: Channel.receiver.childJob,
+      event,
+      data: Object.assign({ pid: process.pid }, data),
+    };
+    return new Promise((resolve) => {
+      process.send(message, (err) => {
+        if (err) {
+          Log.warn('[eventBus] send to main error, event: %s, error:', event, err);
+        }
+        resolve();
+      });
+    });
+  }
+}
+
+EventBus.toString = () => '[class EventBus]';
+module.exports = new EventBus();
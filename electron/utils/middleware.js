@@ -0,0 +1,88 @@
+const path = require('path');
+const Log = require('ee-core/log');
+
+/**
+ * 控制器中间件
+ * config.middleware 为中间件名称列表（electron/middleware 下的文件名），按顺序执行
+ * config[name] 为对应配置，通用配置：enable 是否启用，match/ignore 按通道前缀匹配
+ * 中间件文件导出 (options, app) => async (ctx, next) => {}
+ * ctx: { channel, args, event, transport: 'ipc' | 'http' | 'socket' | 'other', peer, request, traceId, app, state, body }
+ * peer 为调用方标识：ipc 为窗口（webContents），http 为客户端 ip，socket 为连接
+ */
+
+/**
+ * 加载中间件
+ */
+function load(app) {
+  const names = app.config.middleware || [];
+  const middlewares = [];
+
+  names.forEach((name) => {
+    const options = Object.assign({ enable: true }, app.config[name]);
+    if (!options.enable) {
+      return;
+    }
+    const factory = require(path.join(app.config.baseDir, 'middleware', name));
+    const fn = factory(options, app);
+    middlewares.push(withMatch(fn, options));
+    Log.info('[middleware] load: %s', name);
+  });
+
+  return middlewares;
+}
+
+/**
+ * 通道是否匹配（完全相同或前缀，如 controller.example）
+ */
+function isMatch(channel, patterns) {
+  return patterns.some((pattern) => channel === pattern || channel.startsWith(pattern + '.'));
+}
+
+/**
+ * 处理 match、ignore
+ */
+function withMatch(fn, options) {
+  if (!options.match && !options.ignore) {
+    return fn;
+  }
+  return async function (ctx, next) {
+    if (options.match && !isMatch(ctx.channel, [].concat(options.match))) {
+      return next();
+    }
+    if (options.ignore && isMatch(ctx.channel, [].concat(options.ignore))) {
+      return next();
+    }
+    return fn(ctx, next);
+  };
+}
+
+/**
+ * 组合中间件（洋葱模型）
+ */
+function compose(middlewares) {
+  return function (ctx, last) {
+    let index = -1;
+    const dispatch = (i) => {
+      if (i <= index) {
+        return Promise.reject(new Error('next() called multiple times'));
+      }
+      index = i;
+      const fn = i === middlewares.length ? last : middlewares[i];
+      if (!fn) {
+        return Promise.resolve();
+      }
+      try {
+        return Promise.resolve(fn(ctx, () => dispatch(i + 1)));
+      } catch (err) {
+        return Promise.reject(err);
+      }
+    };
+    return dispatch(0);
+  };
+}
+
+module.exports = {
+  load,
+  isMatch,
+  compose,
+};
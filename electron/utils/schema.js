@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 控制器参数 schema
+ * electron/schema 下的文件与 electron/controller 一一对应，导出 { 方法名: args 的 JSON Schema }
+ * 如 schema/updater.js 的 setChannel 对应通道 controller.updater.setChannel
+ * schema/events.js 为事件总线的主题声明，不对应控制器
+ */
+
+/**
+ * 加载所有 schema，返回 { channel: schema }
+ */
+function load(baseDir) {
+  const schemaDir = path.join(baseDir, 'schema');
+  const schemas = {};
+  if (!fs.existsSync(schemaDir)) {
+    return schemas;
+  }
+
+  const walk = (dir, prefix) => {
+    fs.readdirSync(dir).forEach((name) => {
+      const filepath = path.join(dir, name);
+      if (fs.statSync(filepath).isDirectory()) {
+        walk(filepath, `${prefix}.${lowerFirst(name)}`);
+        return;
+      }
+      // 加密后为 .jsc
+      const ext = path.extname(name);
+      if (!['.js', '.jsc'].includes(ext) || (dir === schemaDir && path.basename(name, ext) === 'events')) {
+        return;
+      }
+      const actions = require(filepath);
+      const controller = `${prefix}.${lowerFirst(path.basename(name, ext))}`;
+      Object.keys(actions).forEach((method) => {
+        schemas[`${controller}.${method}`] = actions[method];
+      });
+    });
+  };
+  walk(schemaDir, 'controller');
+
+  return schemas;
+}
+
+/**
+ * 首字母小写（与 ee-core 的 caseStyle: 'lower' 一致）
+ */
+function lowerFirst(str) {
+  return str.charAt(0).toLowerCase() + str.slice(1);
+}
+
+module.exports = {
+  load,
+};
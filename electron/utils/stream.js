@@ -0,0 +1,96 @@
+const { CancelledError } = require('./errors');
+
+/**
+ * 流式调用
+ * 渲染进程通过 stream() 调用时，数据块、进度经 'app.bridge.stream.<traceId>' 通道推送：{ type: 'data' | 'progress', data }
+ * 控制器可以返回异步迭代器（async generator），或通过 context(event) 上报进度、检查取消信号
+ */
+
+/**
+ * 是否为异步迭代器
+ */
+function isAsyncIterable(value) {
+  return value !== null && value !== undefined && typeof value[Symbol.asyncIterator] === 'function';
+}
+
+/**
+ * 创建流（bridge 插件在流式调用时创建，挂在 event.stream 上）
+ */
+function create(sender, streamId) {
+  const controller = new AbortController();
+  const channel = `app.bridge.stream.${streamId}`;
+  const post = (type, data) => {
+    if (!sender.isDestroyed()) {
+      sender.send(channel, { type, data });
+    }
+  };
+
+  return {
+    id: streamId,
+    channel,
+    sender,
+    signal: controller.signal,
+    send: (chunk) => post('data', chunk),
+    progress: (data) => post('progress', data),
+    abort: () => controller.abort(),
+  };
+}
+
+/**
+ * 控制器中获取流式调用上下文，signal 可继续传给 service
+ * 非流式调用（普通 invoke、httpServer、socketServer）时 signal 不会触发，progress、send 为空操作
+ */
+function context(event) {
+  const stream = event && event.stream;
+  if (!stream) {
+    return {
+      isStream: false,
+      signal: new AbortController().signal,
+      progress: () => {},
+      send: () => {},
+    };
+  }
+  return {
+    isStream: true,
+    signal: stream.signal,
+    progress: stream.progress,
+    send: stream.send,
+  };
+}
+
+/**
+ * 已取消时抛出 CancelledError
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new CancelledError('cancelled');
+  }
+}
+
+/**
+ * 消费异步迭代器：流式调用时逐块推送，否则收集为数组返回
+ */
+async function drain(iterable, event) {
+  const stream = event && event.stream;
+  const chunks = [];
+  for await (const chunk of iterable) {
+    if (!stream) {
+      chunks.push(chunk);
+      continue;
+    }
+    // 抛出后 for await 会调用迭代器的 return()，生成器中的 finally 得以执行
+    throwIfAborted(stream.signal);
+    stream.send(chunk);
+  }
+  throwIfAborted(stream && stream.signal);
+
+  return stream ? null : chunks;
+}
+
+module.exports = {
+  isAsyncIterable,
+  create,
+  context,
+  throwIfAborted,
+  drain,
+};
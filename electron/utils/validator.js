@@ -0,0 +1,150 @@
+/**
+ * 参数校验（JSON Schema 子集）
+ * 支持：type（object | array | string | number | integer | boolean | null，可为数组）、properties、required、
+ * additionalProperties、items、enum、const、minLength、maxLength、pattern、minimum、maximum、minItems、maxItems
+ */
+
+/**
+ * 值的类型
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * 类型是否匹配（integer 也是 number）
+ */
+function isType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * 校验，返回错误列表 [{ path, message }]，为空表示通过
+ */
+function validate(schema, value, path = 'args') {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') {
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => isType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}` });
+      return errors;
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+  if (schema.hasOwnProperty('const') && schema.const !== value) {
+    errors.push({ path, message: `must be ${schema.const}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `length must be >= ${schema.minLength}` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `length must be <= ${schema.maxLength}` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have >= ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have <= ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validate(schema.items, item, `${path}[${i}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    });
+    Object.keys(value).forEach((key) => {
+      if (properties.hasOwnProperty(key)) {
+        if (value[key] !== undefined) {
+          errors.push(...validate(properties[key], value[key], `${path}.${key}`));
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, value[key], `${path}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * 按 schema 转换字符串类型的值（httpServer 的 query 参数均为字符串），无法转换时原样返回
+ */
+function coerce(schema, value) {
+  if (!schema || typeof schema !== 'object' || value === undefined) {
+    return value;
+  }
+  const types = [].concat(schema.type || []);
+
+  if (typeof value === 'string' && !types.includes('string')) {
+    if ((types.includes('integer') && /^-?\d+$/.test(value)) || (types.includes('number') && value.trim() !== '' && isFinite(Number(value)))) {
+      return Number(value);
+    }
+    if (types.includes('boolean') && ['true', 'false', '1', '0'].includes(value)) {
+      return value === 'true' || value === '1';
+    }
+    if (types.includes('null') && value === '') {
+      return null;
+    }
+    if (types.includes('array')) {
+      value = [value];
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map((item) => coerce(schema.items, item));
+  }
+  if (typeOf(value) === 'object' && schema.properties) {
+    const result = Object.assign({}, value);
+    Object.keys(schema.properties).forEach((key) => {
+      if (result[key] !== undefined) {
+        result[key] = coerce(schema.properties[key], result[key]);
+      }
+    });
+    return result;
+  }
+
+  return value;
+}
+
+module.exports = {
+  typeOf,
+  validate,
+  coerce,
+};
@@ -0,0 +1,153 @@
+const { screen } = require('electron');
+const Conf = require('ee-core/config');
+const Storage = require('ee-core/storage');
+
+/**
+ * 窗口状态（位置、大小、最大化、全屏），按窗口名称保存，下次启动时恢复
+ * 移动、缩放后延迟保存（config.windowState.delay），关闭时立即保存
+ * 恢复时限制在当前已连接的显示器内，原显示器已断开时居中到主显示器
+ */
+
+let db = null;
+
+/**
+ * 存储
+ */
+function getDb() {
+  if (!db) {
+    db = Storage.connection('window-state');
+  }
+  return db;
+}
+
+/**
+ * 配置
+ */
+function getConfig() {
+  return Object.assign({ enable: true, delay: 500 }, Conf.getValue('windowState'));
+}
+
+/**
+ * 读取保存的状态
+ */
+function get(name) {
+  const state = getDb().getItem(name);
+  const valid = state && ['x', 'y', 'width', 'height'].every((key) => Number.isFinite(state[key]));
+  return valid ? state : null;
+}
+
+/**
+ * 两个矩形相交的面积
+ */
+function intersection(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+/**
+ * 把窗口限制在显示器内（workAreas 为各显示器的可用区域，primary 为主显示器的可用区域）
+ * 与所有显示器都不相交时居中到主显示器
+ */
+function fit(bounds, workAreas, primary) {
+  let area = null;
+  let max = 0;
+  workAreas.forEach((item) => {
+    const size = intersection(bounds, item);
+    if (size > max) {
+      max = size;
+      area = item;
+    }
+  });
+
+  const target = area || primary;
+  const width = Math.min(Math.round(bounds.width), target.width);
+  const height = Math.min(Math.round(bounds.height), target.height);
+  if (!area) {
+    return {
+      x: target.x + Math.round((target.width - width) / 2),
+      y: target.y + Math.round((target.height - height) / 2),
+      width,
+      height,
+    };
+  }
+  return {
+    x: Math.min(Math.max(Math.round(bounds.x), target.x), target.x + target.width - width),
+    y: Math.min(Math.max(Math.round(bounds.y), target.y), target.y + target.height - height),
+    width,
+    height,
+  };
+}
+
+/**
+ * 恢复后的位置、大小，没有保存的状态时为 null
+ */
+function getBounds(name) {
+  const state = getConfig().enable ? get(name) : null;
+  if (!state) {
+    return null;
+  }
+  const workAreas = screen.getAllDisplays().map((display) => display.workArea);
+  return fit(state, workAreas, screen.getPrimaryDisplay().workArea);
+}
+
+/**
+ * 恢复窗口状态，并在之后的移动、缩放、关闭时保存
+ * 窗口未显示时，最大化、全屏在 ready-to-show 时恢复
+ */
+function manage(win, name) {
+  const cfg = getConfig();
+  if (!cfg.enable) {
+    return;
+  }
+
+  const state = get(name);
+  const bounds = getBounds(name);
+  if (bounds) {
+    win.setBounds(bounds);
+  }
+  if (state && (state.isMaximized || state.isFullScreen)) {
+    const apply = () => {
+      if (state.isFullScreen) {
+        win.setFullScreen(true);
+      } else {
+        win.maximize();
+      }
+    };
+    if (win.isVisible()) {
+      apply();
+    } else {
+      win.once('ready-to-show', apply);
+    }
+  }
+
+  let timer = null;
+  const save = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (win.isDestroyed()) {
+      return;
+    }
+    getDb().setItem(name, Object.assign(win.getNormalBounds(), {
+      isMaximized: win.isMaximized(),
+      isFullScreen: win.isFullScreen(),
+    }));
+  };
+  const delaySave = () => {
+    clearTimeout(timer);
+    timer = setTimeout(save, cfg.delay);
+  };
+
+  ['resize', 'move', 'maximize', 'unmaximize', 'enter-full-screen', 'leave-full-screen'].forEach((eventName) => {
+    win.on(eventName, delaySave);
+  });
+  win.on('close', save);
+  win.once('closed', () => clearTimeout(timer));
+}
+
+module.exports = {
+  get,
+  fit,
+  getBounds,
+  manage,
+};
@@ -0,0 +1,269 @@
+/**
+ * 主进程与渲染进程通信频道定义
+ * Definition of communication channels between main process and rendering process
+ *
+ * 该文件由 build/script/api.js 根据 electron/controller 自动生成，请勿手动修改（npm run api）
+ */
+
+export interface InvokeOptions {
+  /** 超时时间（毫秒），默认 30000（流式调用默认不超时），0 表示不超时 */
+  timeout?: number;
+  /** 流式调用：控制器返回异步迭代器时的每一块数据 */
+  onData?: (chunk: any) => void;
+  /** 流式调用：控制器上报的进度 */
+  onProgress?: (progress: any) => void;
+  /** 流式调用：取消信号，会传递到主进程 */
+  signal?: AbortSignal;
+}
+
+export declare const ipcApiRoute: {
+  readonly exampleTest: 'controller.example.test';
+  readonly exampleProcess: 'controller.example.process';
+  readonly exampleTimerJob: 'controller.example.timerJob';
+  readonly javaServerStatus: 'controller.javaServer.status';
+  readonly javaServerRestart: 'controller.javaServer.restart';
+  readonly javaServerLogs: 'controller.javaServer.logs';
+  readonly sidecarList: 'controller.sidecar.list';
+  readonly sidecarStart: 'controller.sidecar.start';
+  readonly sidecarStop: 'controller.sidecar.stop';
+  readonly sidecarRestart: 'controller.sidecar.restart';
+  readonly sidecarLogs: 'controller.sidecar.logs';
+  readonly trayUpdateItem: 'controller.tray.updateItem';
+  readonly traySetToolTip: 'controller.tray.setToolTip';
+  readonly traySetIcon: 'controller.tray.setIcon';
+  readonly traySetBadge: 'controller.tray.setBadge';
+  readonly trayGetMenu: 'controller.tray.getMenu';
+  readonly updaterCheck: 'controller.updater.check';
+  readonly updaterDownload: 'controller.updater.download';
+  readonly updaterInstall: 'controller.updater.install';
+  readonly updaterCancel: 'controller.updater.cancel';
+  readonly updaterSetChannel: 'controller.updater.setChannel';
+  readonly updaterSetBusy: 'controller.updater.setBusy';
+  readonly updaterGetStatus: 'controller.updater.getStatus';
+  readonly windowOpen: 'controller.window.open';
+  readonly windowFocus: 'controller.window.focus';
+  readonly windowClose: 'controller.window.close';
+  readonly windowList: 'controller.window.list';
+  readonly windowSendTo: 'controller.window.sendTo';
+  /** @deprecated 请使用 exampleTest */
+  readonly test: 'controller.example.test';
+};
+
+export declare const api: {
+  example: {
+    /**
+     * test
+     */
+    test(args?: any, options?: InvokeOptions): Promise<string>;
+    /**
+     * 流式处理示例：逐块返回结果并上报进度，前端可通过 signal 取消
+     */
+    process(args: {
+      count: number;
+      interval?: number;
+    }, options?: InvokeOptions): Promise<null>;
+    /**
+     * 子进程任务示例，任务完成时通过事件总线主题 job.done 推送
+     */
+    timerJob(args?: any, options?: InvokeOptions): Promise<{ pid: number }>;
+  };
+  javaServer: {
+    /**
+     * 状态：starting 启动中 | ready 就绪 | unhealthy 启动超时或健康检查失败 | stopped 已停止
+     */
+    status(args?: any, options?: InvokeOptions): Promise<{ status: string, pid: number, port: number, startedAt: number, readyAt: number, crashes: number }>;
+    /**
+     * 重启
+     */
+    restart(args?: any, options?: InvokeOptions): Promise<{ status: string, pid: number, port: number, startedAt: number, readyAt: number, crashes: number }>;
+    /**
+     * 最近的输出
+     */
+    logs(args: {
+      lines?: number;
+    }, options?: InvokeOptions): Promise<Array<{ time: number, stream: string, line: string }>>;
+  };
+  sidecar: {
+    /**
+     * 所有边车的状态
+     */
+    list(args?: any, options?: InvokeOptions): Promise<Array<{ name: string, status: string, pid: number, port: number, startedAt: number, readyAt: number, crashes: number }>>;
+    /**
+     * 启动
+     */
+    start(args: {
+      name: string;
+    }, options?: InvokeOptions): Promise<{ name: string, status: string, pid: number, port: number, startedAt: number, readyAt: number, crashes: number }>;
+    /**
+     * 停止
+     */
+    stop(args: {
+      name: string;
+    }, options?: InvokeOptions): Promise<{ name: string, status: string, pid: number, port: number, startedAt: number, readyAt: number, crashes: number }>;
+    /**
+     * 重启
+     */
+    restart(args: {
+      name: string;
+    }, options?: InvokeOptions): Promise<{ name: string, status: string, pid: number, port: number, startedAt: number, readyAt: number, crashes: number }>;
+    /**
+     * 最近的输出
+     */
+    logs(args: {
+      name: string;
+      lines?: number;
+    }, options?: InvokeOptions): Promise<Array<{ time: number, stream: string, line: string }>>;
+  };
+  tray: {
+    /**
+     * 修改菜单项
+     */
+    updateItem(args: {
+      id: string;
+      label?: string;
+      enabled?: boolean;
+      checked?: boolean;
+      visible?: boolean;
+    }, options?: InvokeOptions): Promise<{ result: boolean }>;
+    /**
+     * 设置提示文字
+     */
+    setToolTip(args: {
+      text: string;
+    }, options?: InvokeOptions): Promise<{ result: boolean }>;
+    /**
+     * 设置图标
+     */
+    setIcon(args: {
+      icon: string;
+    }, options?: InvokeOptions): Promise<{ result: boolean }>;
+    /**
+     * 设置角标
+     */
+    setBadge(args: {
+      text: string | number;
+    }, options?: InvokeOptions): Promise<{ result: boolean }>;
+    /**
+     * 获取菜单
+     */
+    getMenu(args?: any, options?: InvokeOptions): Promise<any>;
+  };
+  updater: {
+    /**
+     * 检查更新
+     */
+    check(args?: any, options?: InvokeOptions): Promise<any>;
+    /**
+     * 下载更新
+     */
+    download(args?: any, options?: InvokeOptions): Promise<any>;
+    /**
+     * 退出并安装
+     */
+    install(args?: any, options?: InvokeOptions): Promise<any>;
+    /**
+     * 取消下载
+     */
+    cancel(args?: any, options?: InvokeOptions): Promise<any>;
+    /**
+     * 切换更新通道
+     */
+    setChannel(args: {
+      channel: "stable" | "beta" | "alpha";
+    }, options?: InvokeOptions): Promise<any>;
+    /**
+     * 设置忙碌标记，忙碌期间跳过定时检查，如 { name: 'export', busy: true }
+     */
+    setBusy(args: {
+      name: string;
+      busy?: boolean;
+    }, options?: InvokeOptions): Promise<{ busy: string[] }>;
+    /**
+     * 获取最后一次状态（窗口刷新后恢复界面）
+     */
+    getStatus(args?: any, options?: InvokeOptions): Promise<any>;
+  };
+  window: {
+    /**
+     * 打开预设窗口（addons.window.presets），已打开时聚焦
+     */
+    open(args: {
+      name: string;
+      route?: string;
+    }, options?: InvokeOptions): Promise<{ name: string, id: number, created: boolean }>;
+    /**
+     * 聚焦窗口
+     */
+    focus(args: {
+      name: string;
+    }, options?: InvokeOptions): Promise<{ result: boolean }>;
+    /**
+     * 关闭窗口（不能关闭主窗口）
+     */
+    close(args: {
+      name: string;
+    }, options?: InvokeOptions): Promise<{ result: boolean }>;
+    /**
+     * 已打开的窗口
+     */
+    list(args?: any, options?: InvokeOptions): Promise<Array<{ name: string, id: number, title: string, visible: boolean, focused: boolean }>>;
+    /**
+     * 向窗口发消息，目标窗口通过 'app.window.message' 接收 { from, data }
+     */
+    sendTo(args: {
+      name: string;
+      data?: any;
+    }, options?: InvokeOptions): Promise<{ result: boolean }>;
+  };
+};
+
+/** 事件总线主题 -> 载荷类型 */
+export interface EventMap {
+  'updater.status': {
+    status: -1 | 1 | 2 | 3 | 4;
+    code?: string;
+    message: string;
+    version?: string;
+    percent?: number;
+    time?: number;
+    [key: string]: any;
+  };
+  'awaken.url': {
+    urlStr: string;
+    urlHost?: string;
+    urlPath?: string;
+    params?: {
+      [key: string]: any;
+    };
+    action?: string;
+    [key: string]: any;
+  };
+  'javaServer.status': {
+    status: "starting" | "ready" | "unhealthy" | "stopped";
+    message?: string;
+    pid?: number;
+    port?: number;
+    time?: number;
+    [key: string]: any;
+  };
+  'sidecar.status': {
+    name: string;
+    status: "starting" | "ready" | "unhealthy" | "stopped";
+    message?: string;
+    pid?: number;
+    port?: number;
+    time?: number;
+    [key: string]: any;
+  };
+  'job.done': {
+    name: string;
+    pid: number;
+    [key: string]: any;
+  };
+}
+
+export declare const topics: Array<keyof EventMap>;
+
+/** 订阅事件总线，返回取消订阅的函数；支持通配符，如 'updater.*'、'*' */
+export declare function subscribe<T extends keyof EventMap>(topic: T, listener: (payload: EventMap[T], topic: T) => void): () => void;
+export declare function subscribe(pattern: string, listener: (payload: any, topic: keyof EventMap) => void): () => void;
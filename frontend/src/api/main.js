@@ -1,13 +1,192 @@
-
 /**
  * 主进程与渲染进程通信频道定义
  * Definition of communication channels between main process and rendering process
+ *
+ * 该文件由 build/script/api.js 根据 electron/controller 自动生成，请勿手动修改（npm run api）
  */
+import { invoke, subscribe } from '@/utils/ipcRenderer';
+
 const ipcApiRoute = {
+  exampleTest: 'controller.example.test',
+  exampleProcess: 'controller.example.process',
+  exampleTimerJob: 'controller.example.timerJob',
+  javaServerStatus: 'controller.javaServer.status',
+  javaServerRestart: 'controller.javaServer.restart',
+  javaServerLogs: 'controller.javaServer.logs',
+  sidecarList: 'controller.sidecar.list',
+  sidecarStart: 'controller.sidecar.start',
+  sidecarStop: 'controller.sidecar.stop',
+  sidecarRestart: 'controller.sidecar.restart',
+  sidecarLogs: 'controller.sidecar.logs',
+  trayUpdateItem: 'controller.tray.updateItem',
+  traySetToolTip: 'controller.tray.setToolTip',
+  traySetIcon: 'controller.tray.setIcon',
+  traySetBadge: 'controller.tray.setBadge',
+  trayGetMenu: 'controller.tray.getMenu',
+  updaterCheck: 'controller.updater.check',
+  updaterDownload: 'controller.updater.download',
+  updaterInstall: 'controller.updater.install',
+  updaterCancel: 'controller.updater.cancel',
+  updaterSetChannel: 'controller.updater.setChannel',
+  updaterSetBusy: 'controller.updater.setBusy',
+  updaterGetStatus: 'controller.updater.getStatus',
+  windowOpen: 'controller.window.open',
+  windowFocus: 'controller.window.focus',
+  windowClose: 'controller.window.close',
+  windowList: 'controller.window.list',
+  windowSendTo: 'controller.window.sendTo',
+  /** @deprecated 请使用 exampleTest */
   test: 'controller.example.test',
 }
 
-export {
-  ipcApiRoute
+/**
+ * 调用主进程，成功时返回 data，失败或超时抛出 IpcError
+ */
+function call (channel) {
+  return (args, options) => invoke(channel, args, options);
+}
+
+/**
+ * 调用客户端，如：api.example.test(args)
+ */
+const api = {
+  example: {
+    /**
+     * test
+     */
+    test: call(ipcApiRoute.exampleTest),
+    /**
+     * 流式处理示例：逐块返回结果并上报进度，前端可通过 signal 取消
+     */
+    process: call(ipcApiRoute.exampleProcess),
+    /**
+     * 子进程任务示例，任务完成时通过事件总线主题 job.done 推送
+     */
+    timerJob: call(ipcApiRoute.exampleTimerJob),
+  },
+  javaServer: {
+    /**
+     * 状态：starting 启动中 | ready 就绪 | unhealthy 启动超时或健康检查失败 | stopped 已停止
+     */
+    status: call(ipcApiRoute.javaServerStatus),
+    /**
+     * 重启
+     */
+    restart: call(ipcApiRoute.javaServerRestart),
+    /**
+     * 最近的输出
+     */
+    logs: call(ipcApiRoute.javaServerLogs),
+  },
+  sidecar: {
+    /**
+     * 所有边车的状态
+     */
+    list: call(ipcApiRoute.sidecarList),
+    /**
+     * 启动
+     */
+    start: call(ipcApiRoute.sidecarStart),
+    /**
+     * 停止
+     */
+    stop: call(ipcApiRoute.sidecarStop),
+    /**
+     * 重启
+     */
+    restart: call(ipcApiRoute.sidecarRestart),
+    /**
+     * 最近的输出
+     */
+    logs: call(ipcApiRoute.sidecarLogs),
+  },
+  tray: {
+    /**
+     * 修改菜单项
+     */
+    updateItem: call(ipcApiRoute.trayUpdateItem),
+    /**
+     * 设置提示文字
+     */
+    setToolTip: call(ipcApiRoute.traySetToolTip),
+    /**
+     * 设置图标
+     */
+    setIcon: call(ipcApiRoute.traySetIcon),
+    /**
+     * 设置角标
+     */
+    setBadge: call(ipcApiRoute.traySetBadge),
+    /**
+     * 获取菜单
+     */
+    getMenu: call(ipcApiRoute.trayGetMenu),
+  },
+  updater: {
+    /**
+     * 检查更新
+     */
+    check: call(ipcApiRoute.updaterCheck),
+    /**
+     * 下载更新
+     */
+    download: call(ipcApiRoute.updaterDownload),
+    /**
+     * 退出并安装
+     */
+    install: call(ipcApiRoute.updaterInstall),
+    /**
+     * 取消下载
+     */
+    cancel: call(ipcApiRoute.updaterCancel),
+    /**
+     * 切换更新通道
+     */
+    setChannel: call(ipcApiRoute.updaterSetChannel),
+    /**
+     * 设置忙碌标记，忙碌期间跳过定时检查，如 { name: 'export', busy: true }
+     */
+    setBusy: call(ipcApiRoute.updaterSetBusy),
+    /**
+     * 获取最后一次状态（窗口刷新后恢复界面）
+     */
+    getStatus: call(ipcApiRoute.updaterGetStatus),
+  },
+  window: {
+    /**
+     * 打开预设窗口（addons.window.presets），已打开时聚焦
+     */
+    open: call(ipcApiRoute.windowOpen),
+    /**
+     * 聚焦窗口
+     */
+    focus: call(ipcApiRoute.windowFocus),
+    /**
+     * 关闭窗口（不能关闭主窗口）
+     */
+    close: call(ipcApiRoute.windowClose),
+    /**
+     * 已打开的窗口
+     */
+    list: call(ipcApiRoute.windowList),
+    /**
+     * 向窗口发消息，目标窗口通过 'app.window.message' 接收 { from, data }
+     */
+    sendTo: call(ipcApiRoute.windowSendTo),
+  },
 }
 
+/**
+ * 事件总线主题（见 electron/schema/events.js），使用 subscribe(topic, listener) 订阅
+ */
+const topics = [
+  'updater.status',
+  'awaken.url',
+  'javaServer.status',
+  'sidecar.status',
+  'job.done',
+]
+
+export {
+  ipcApiRoute, api, topics, subscribe
+}
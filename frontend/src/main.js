@@ -3,6 +3,7 @@ import App from './App.vue';
 import './assets/global.less';
 import components from './components/global';
 import Router from './router/index';
+import { ready } from './utils/ipcRenderer';
 
 const app = createApp(App)
 app.config.productionTip = false
@@ -13,3 +14,6 @@ for (const i in components) {
 }
 
 app.use(Router).mount('#app')
+
+// 通知主进程页面已就绪，分发排队中的唤醒链接等
+ready()
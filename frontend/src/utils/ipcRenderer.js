@@ -1,20 +1,16 @@
-const Renderer = (window.require && window.require('electron')) || window.electron || {};
+const Renderer = window.electron || {};
 
 /**
  * ipc
- * 官方api说明：https://www.electronjs.org/zh/docs/latest/api/ipc-renderer
- * 
- * 属性/方法
- * ipc.invoke(channel, param) - 发送异步消息（invoke/handle 模型）
- * ipc.sendSync(channel, param) - 发送同步消息（send/on 模型）
- * ipc.on(channel, listener) - 监听 channel, 当新消息到达，调用 listener
- * ipc.once(channel, listener) - 添加一次性 listener 函数
- * ipc.removeListener(channel, listener) - 为特定的 channel 从监听队列中删除特定的 listener 监听者
- * ipc.removeAllListeners(channel) - 移除所有的监听器，当指定 channel 时只移除与其相关的所有监听器
- * ipc.send(channel, ...args) - 通过channel向主进程发送异步消息
- * ipc.postMessage(channel, message, [transfer]) - 发送消息到主进程
- * ipc.sendTo(webContentsId, channel, ...args) - 通过 channel 发送消息到带有 webContentsId 的窗口
- * ipc.sendToHost(channel, ...args) - 消息会被发送到 host 页面上的 <webview> 元素
+ * 由 electron/preload/bridge.js 通过 contextBridge 导出，仅允许白名单中的通道（见 api/main.js 的 ipcApiRoute）
+ *
+ * 方法
+ * ipc.invoke(channel, param, [meta]) - 调用主进程（invoke/handle 模型），返回 Promise；未知通道会被拒绝
+ * ipc.stream(channel, param, meta, listener) - 流式调用，返回 { result, cancel }，一般使用下方的 stream()
+ * ipc.on(channel, listener) - 监听 channel，listener 只接收消息参数（不含 event）；返回取消监听的函数
+ * ipc.off(channel, [listener]) - 取消监听，不传 listener 时取消该 channel 的所有监听
+ * ipc.subscribe(topic, listener) - 订阅主进程事件总线，一般使用下方的 subscribe()
+ * ipc.ready() - 通知主进程页面已就绪，一般使用下方的 ready()
  */
 
 /**
@@ -27,7 +23,146 @@ const ipc = Renderer.ipcRenderer || undefined;
  */
 const isEE = ipc ? true : false;
 
+/**
+ * 默认超时时间（毫秒），0 表示不超时
+ */
+const DEFAULT_TIMEOUT = 30000;
+
+/**
+ * 调用失败：code 为主进程返回的错误码（超时为 408），traceId 可在主进程 ee.log 中查找
+ */
+class IpcError extends Error {
+  constructor(message, code, traceId, data = null) {
+    super(message);
+    this.name = 'IpcError';
+    this.code = code;
+    this.traceId = traceId;
+    this.data = data;
+  }
+}
+
+/**
+ * 生成 traceId
+ */
+function createTraceId () {
+  return Date.now().toString(16) + Math.random().toString(16).slice(2, 10);
+}
+
+/**
+ * 解析返回结构 { code, data, message, traceId }：成功时返回 data，失败时抛出 IpcError
+ */
+function unwrap (res) {
+  if (!res || typeof res.code !== 'number' || !res.hasOwnProperty('traceId')) {
+    return res;
+  }
+  if (res.code !== 0) {
+    throw new IpcError(res.message, res.code, res.traceId, res.data);
+  }
+  return res.data;
+}
+
+/**
+ * 调用控制器，成功时返回 data，失败时抛出 IpcError
+ * 传入 onData、onProgress 或 signal 时使用 stream()
+ * @param options.timeout 超时时间（毫秒）
+ */
+function invoke (channel, args, options = {}) {
+  if (options.onData || options.onProgress || options.signal) {
+    return stream(channel, args, options);
+  }
+
+  const traceId = createTraceId();
+  if (!ipc) {
+    return Promise.reject(new IpcError('ipc is not available, please run in electron', 500, traceId));
+  }
+
+  const request = ipc.invoke(channel, args, { traceId }).then(unwrap);
+
+  const timeout = options.timeout === undefined ? DEFAULT_TIMEOUT : options.timeout;
+  if (!timeout) {
+    return request;
+  }
+  let timer = null;
+  const timeoutPromise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(new IpcError(`'${channel}' timeout after ${timeout}ms`, 408, traceId));
+    }, timeout);
+  });
+
+  return Promise.race([request, timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * 流式调用：控制器返回异步迭代器的每一块交给 onData，上报的进度交给 onProgress
+ * signal（AbortController.signal）取消时，主进程中的 signal 同步取消，Promise 以 code 499 拒绝
+ * @param options.onData 数据块回调
+ * @param options.onProgress 进度回调
+ * @param options.signal 取消信号
+ * @param options.timeout 超时时间（毫秒），默认不超时，超时后同样会取消
+ */
+function stream (channel, args, options = {}) {
+  const traceId = createTraceId();
+  if (!ipc) {
+    return Promise.reject(new IpcError('ipc is not available, please run in electron', 500, traceId));
+  }
+  const { onData, onProgress, signal, timeout } = options;
+  if (signal && signal.aborted) {
+    return Promise.reject(new IpcError('cancelled', 499, traceId));
+  }
+
+  return new Promise((resolve, reject) => {
+    const call = ipc.stream(channel, args, { traceId }, (message) => {
+      if (message.type === 'data' && onData) {
+        onData(message.data);
+      } else if (message.type === 'progress' && onProgress) {
+        onProgress(message.data);
+      }
+    });
+
+    let timer = null;
+    const onAbort = () => {
+      call.cancel();
+      reject(new IpcError('cancelled', 499, traceId));
+    };
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    if (timeout) {
+      timer = setTimeout(() => {
+        call.cancel();
+        reject(new IpcError(`'${channel}' timeout after ${timeout}ms`, 408, traceId));
+      }, timeout);
+    }
+
+    call.result.then(unwrap).then(resolve, reject).finally(() => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    });
+  });
+}
+
+/**
+ * 订阅主进程事件总线（主题见 api/main.js 的 topics），listener 接收 (payload, topic)
+ * 返回取消订阅的函数，组件卸载时调用；窗口关闭时主进程自动清理
+ */
+function subscribe (topic, listener) {
+  if (!ipc) {
+    return () => {};
+  }
+  return ipc.subscribe(topic, listener);
+}
+
+/**
+ * 通知主进程页面已就绪（应用挂载、注册监听之后调用），主进程此时才分发排队中的消息（如唤醒链接）
+ */
+function ready () {
+  if (ipc) {
+    ipc.ready();
+  }
+}
+
 export {
-  Renderer, ipc, isEE
+  Renderer, ipc, isEE, invoke, stream, subscribe, ready, IpcError
 };
-
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const Ps = require('../electron/addon/javaServer/ps');
+
+/**
+ * 进程工具测试，parseXxx 使用 fixtures/ps 下采集的命令输出
+ */
+
+function fixture (name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'ps', name), 'utf8');
+}
+
+test('parsePs: ps -A -o pid=,ppid=,args=', () => {
+  const list = Ps.parsePs(fixture('ps-linux.txt'));
+  assert.strictEqual(list.length, 8);
+  assert.deepStrictEqual(list[0], { pid: 1, ppid: 0, name: 'init', command: '/sbin/init splash' });
+  assert.deepStrictEqual(list[1], { pid: 2, ppid: 0, name: '[kthreadd]', command: '[kthreadd]' });
+
+  const java = list.find((item) => item.pid === 901);
+  assert.strictEqual(java.ppid, 812);
+  assert.strictEqual(java.name, 'java');
+  assert.match(java.command, /-jar \/opt\/ee\/resources\/extraResources\/java-app\.jar --server\.port=18080$/);
+});
+
+test('parsePs: empty output', () => {
+  assert.deepStrictEqual(Ps.parsePs(''), []);
+  assert.deepStrictEqual(Ps.parsePs(undefined), []);
+});
+
+test('parseSs: ss -Hltnp', () => {
+  assert.deepStrictEqual(Ps.parseSs(fixture('ss.txt')), [
+    { port: 18080, pid: 901 },
+    { port: 7072, pid: 812 },
+    { port: 8080, pid: 1204 },
+    { port: 8080, pid: 1205 },
+  ]);
+});
+
+test('parseLsof: lsof -nP -iTCP -sTCP:LISTEN -F pn', () => {
+  assert.deepStrictEqual(Ps.parseLsof(fixture('lsof.txt')), [
+    { port: 18080, pid: 901 },
+    { port: 7072, pid: 812 },
+  ]);
+});
+
+test('parseNetstat: netstat -ano -p TCP', () => {
+  assert.deepStrictEqual(Ps.parseNetstat(fixture('netstat.txt')), [
+    { port: 135, pid: 1016 },
+    { port: 18080, pid: 4321 },
+  ]);
+});
+
+test('parseCimProcess: array', () => {
+  const list = Ps.parseCimProcess(fixture('cim-array.json'));
+  assert.strictEqual(list.length, 3);
+  assert.deepStrictEqual(list[0], { pid: 0, ppid: 0, name: 'System Idle Process', command: 'System Idle Process' });
+  assert.strictEqual(list[2].name, 'javaw.exe');
+  assert.strictEqual(list[2].ppid, 5120);
+  assert.match(list[2].command, /java-app\.jar" --server\.port=18080$/);
+});
+
+test('parseCimProcess: single object', () => {
+  assert.deepStrictEqual(Ps.parseCimProcess(fixture('cim-object.json')), [
+    { pid: 4321, ppid: 5120, name: 'javaw.exe', command: 'javaw.exe -jar java-app.jar' },
+  ]);
+  assert.deepStrictEqual(Ps.parseCimProcess(''), []);
+});
+
+test('parseProcState: name with spaces and parentheses', () => {
+  assert.strictEqual(Ps.parseProcState(fixture('proc-stat-sleeping.txt')), 'S');
+  assert.strictEqual(Ps.parseProcState(fixture('proc-stat-zombie.txt')), 'Z');
+  assert.strictEqual(Ps.parseProcState(''), '');
+});
+
+test('getDescendants: children before grandchildren', () => {
+  const list = Ps.parsePs(fixture('ps-linux.txt'));
+  assert.deepStrictEqual(Ps.getDescendants(list, 812).map((item) => item.pid), [901, 950, 902, 903]);
+  assert.deepStrictEqual(Ps.getDescendants(list, 903), []);
+  // pid 0 的父进程为自身时不会死循环
+  assert.deepStrictEqual(Ps.getDescendants(list, 0).map((item) => item.pid), [1, 2, 812, 1204, 901, 950, 902, 903]);
+});
+
+/**
+ * 启动 sh 进程树；sh 为进程组组长，测试结束时结束整个进程组，断言失败时也不会遗留 sleep 进程
+ */
+async function spawnTree (t, script) {
+  const child = spawn('sh', ['-c', script], { detached: true, stdio: 'ignore' });
+  t.after(() => {
+    try {
+      process.kill(-child.pid, 'SIGKILL');
+    } catch (err) {
+      // 已全部结束
+    }
+  });
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  return child;
+}
+
+test('children, lookup and killTree on a real process tree', { skip: process.platform !== 'linux' }, async (t) => {
+  // sh 忽略 SIGTERM（sleep 继承），需要超时后强制结束
+  const child = await spawnTree(t, 'trap "" TERM; sleep 30 & sleep 30 & wait');
+
+  const descendants = await Ps.children(child.pid);
+  assert.strictEqual(descendants.length, 2);
+  assert.ok(descendants.every((item) => item.name === 'sleep'));
+  assert.deepStrictEqual((await Ps.children(child.pid, false)).length, 2);
+  assert.strictEqual((await Ps.lookup({ pid: child.pid, name: 'sh' })).length, 1);
+  assert.strictEqual((await Ps.lookup({ pid: descendants[0].pid, args: /^sleep 30$/ })).length, 1);
+
+  const result = await Ps.killTree(child.pid, { timeout: 300, interval: 50 });
+  assert.strictEqual(result.forced, true);
+  assert.deepStrictEqual(result.pids.sort(), [child.pid].concat(descendants.map((item) => item.pid)).sort());
+  assert.ok(result.pids.every((pid) => !Ps.isAlive(pid)));
+  assert.deepStrictEqual(await Ps.killTree(child.pid), { pids: [], forced: false });
+});
+
+test('killTree: graceful exit', { skip: process.platform !== 'linux' }, async (t) => {
+  const child = await spawnTree(t, 'sleep 30 & wait');
+  const result = await Ps.killTree(child.pid, { timeout: 2000, interval: 50 });
+  assert.strictEqual(result.forced, false);
+  assert.strictEqual(result.pids.length, 2);
+});